@@ -1,5 +1,6 @@
 const EventEmitter = require('events');
 const Constants = require('../util/Constants');
+const Intents = require('../util/Intents');
 const Permissions = require('../util/Permissions');
 const Util = require('../util/Util');
 const RESTManager = require('./rest/RESTManager');
@@ -28,18 +29,30 @@ class Client extends EventEmitter {
     // Obtain shard details from environment
     if (!options.shardId && 'SHARD_ID' in process.env) options.shardId = Number(process.env.SHARD_ID);
     if (!options.shardCount && 'SHARD_COUNT' in process.env) options.shardCount = Number(process.env.SHARD_COUNT);
+    if (options.ws && options.ws.properties) {
+      // The identity replaces the IDENTIFY properties, so that they match the headers of REST requests
+      process.emitWarning('The ws.properties option is deprecated, use the identity option instead.',
+        'DeprecationWarning');
+      const identity = {};
+      for (const key of ['os', 'browser']) {
+        const value = options.ws.properties[`$${key}`] || options.ws.properties[key];
+        if (value) identity[key] = value;
+      }
+      // The options of the caller are left as they are, as they may be reused for other clients
+      options = Object.assign({}, options, { identity: Object.assign(identity, options.identity) });
+    }
 
     /**
      * The options the client was instantiated with
      * @type {ClientOptions}
      */
     this.options = Util.mergeDefault(Constants.DefaultOptions, options);
+    if (this.options.intents !== null) this.options.intents = new Intents(this.options.intents);
     this._validateOptions();
 
     /**
      * The REST manager of the client
      * @type {RESTManager}
-     * @private
      */
     this.rest = new RESTManager(this);
 
@@ -60,7 +73,6 @@ class Client extends EventEmitter {
     /**
      * The WebSocket manager of the client
      * @type {WebSocketManager}
-     * @private
      */
     this.ws = new WebSocketManager(this);
 
@@ -120,6 +132,13 @@ class Client extends EventEmitter {
      */
     this.presences = new Collection();
 
+    /**
+     * How far the client user has read each channel, mapped by channel IDs
+     * <warn>This is only filled when using a user account.</warn>
+     * @type {Collection<Snowflake, ReadState>}
+     */
+    this.readStates = new Collection();
+
     Object.defineProperty(this, 'token', { writable: true });
     if (!this.token && 'CLIENT_TOKEN' in process.env) {
       /**
@@ -152,7 +171,8 @@ class Client extends EventEmitter {
     this.broadcasts = [];
 
     /**
-     * Previous heartbeat pings of the websocket (most recent first, limited to three elements)
+     * Previous heartbeat pings of the websocket (most recent first, limited to
+     * {@link HeartbeatOptions#pingWindow} elements)
      * @type {number[]}
      */
     this.pings = [];
@@ -244,6 +264,32 @@ class Client extends EventEmitter {
     return this.readyAt ? this.readyAt.getTime() : null;
   }
 
+  /**
+   * The state of a gateway session, which can be used to resume it from another process.
+   * @typedef {Object} SessionState
+   * @property {string} sessionID The ID of the session
+   * @property {number} sequence The sequence of the last event received in the session
+   * @property {?string} resumeGatewayURL The URL of the gateway to resume the session on
+   */
+
+  /**
+   * The state of the current gateway session. It can be saved and passed to {@link Client#login} to resume the
+   * session after a restart, rather than identifying again.
+   * <warn>Destroying the client closes the session, so it can no longer be resumed. Save the state and exit without
+   * destroying the client to be able to resume it.</warn>
+   * @type {?SessionState}
+   * @readonly
+   */
+  get session() {
+    const connection = this.ws.connection;
+    if (!connection || !connection.sessionID) return null;
+    return {
+      sessionID: connection.sessionID,
+      sequence: connection.sequence,
+      resumeGatewayURL: connection.resumeGatewayURL,
+    };
+  }
+
   /**
    * Whether the client is in a browser environment
    * @type {boolean}
@@ -269,15 +315,27 @@ class Client extends EventEmitter {
    * possible. User accounts are subject to harsher ratelimits and other restrictions that don't apply to bot accounts.
    * Bot accounts also have access to many features that user accounts cannot utilise. Automating a user account is
    * considered a violation of Discord's ToS.</info>
+   * <info>When a session is given, the client tries to resume it first, and identifies as a new session if it can't.
+   * A resumed session only replays the events that were missed, so before becoming ready the client fetches its guilds
+   * (with their channels, roles and emojis) and its DM channels over REST instead, or identifies as a new session if
+   * that fails. The members of the guilds (including the client user's own), presences, threads,
+   * relationships, settings and read states that the `READY` payload would include are only cached as later events
+   * include them. The {@link Client#raw} event is emitted for every event meanwhile.</info>
    * @param {string} token Token of the account to log in with
+   * @param {SessionState} [session] A session saved from {@link Client#session} to resume
    * @returns {Promise<string>} Token of the account used
    * @example
    * client.login('my token')
    *  .then(console.log)
    *  .catch(console.error);
+   * @example
+   * // Resume the session saved by the previous process
+   * client.login('my token', JSON.parse(fs.readFileSync('session.json')))
+   *  .then(console.log)
+   *  .catch(console.error);
    */
-  login(token = this.token) {
-    return this.rest.methods.login(token);
+  login(token = this.token, session) {
+    return this.rest.methods.login(token, session);
   }
 
   /**
@@ -307,6 +365,33 @@ class Client extends EventEmitter {
     });
   }
 
+  /**
+   * Marks channels as read up to their last messages, in as few requests as possible.
+   * <warn>This is only available when using a user account.</warn>
+   * @param {ChannelResolvable[]|Collection<Snowflake, Channel>} channels The channels to mark as read, which must be
+   * cached and have messages
+   * @returns {Promise<Collection<Snowflake, ReadState>>} The read states of the channels
+   * @example
+   * // Mark every direct message channel as read
+   * client.ackChannels(client.channels.filter(channel => channel.type === 'dm' && channel.lastMessageID))
+   *   .then(readStates => console.log(`Marked ${readStates.size} channels as read`))
+   *   .catch(console.error);
+   */
+  ackChannels(channels) {
+    if (this.user && this.user.bot) return Promise.reject(new Error(Constants.Errors.NO_USER_ACCOUNT));
+    if (channels instanceof Collection) channels = channels.array();
+    const resolved = [];
+    for (const channel of channels) {
+      const resolvedChannel = this.resolver.resolveChannel(channel);
+      if (!resolvedChannel) return Promise.reject(new TypeError('The channels must be cached ChannelResolvables.'));
+      if (!resolvedChannel.lastMessageID) {
+        return Promise.reject(new Error(`The channel ${resolvedChannel.id} has no messages to mark as read.`));
+      }
+      resolved.push(resolvedChannel);
+    }
+    return this.rest.methods.ackChannels(resolved);
+  }
+
   /**
    * Obtains a user from Discord, or the user cache if it's already available.
    * <warn>This is only available when using a bot account.</warn>
@@ -478,7 +563,7 @@ class Client extends EventEmitter {
    */
   _pong(startTime) {
     this.pings.unshift(Date.now() - startTime);
-    if (this.pings.length > 3) this.pings.length = 3;
+    if (this.pings.length > this.options.heartbeat.pingWindow) this.pings.length = this.options.heartbeat.pingWindow;
     this.ws.lastHeartbeatAck = true;
   }
 
@@ -507,6 +592,16 @@ class Client extends EventEmitter {
     return eval(script);
   }
 
+  /**
+   * Checks whether the client identifies with an intent, which is always the case when it identifies without intents.
+   * @param {IntentsResolvable} intent Intent to check for
+   * @returns {boolean}
+   * @private
+   */
+  _hasIntent(intent) {
+    return !this.options.intents || this.options.intents.has(intent);
+  }
+
   /**
    * Validates the client options.
    * @param {ClientOptions} [options=this.options] Options to validate
@@ -539,6 +634,9 @@ class Client extends EventEmitter {
     if (typeof options.disableEveryone !== 'boolean') {
       throw new TypeError('The disableEveryone option must be a boolean.');
     }
+    if (options.allowedMentions !== null && typeof options.allowedMentions !== 'object') {
+      throw new TypeError('The allowedMentions option must be an object.');
+    }
     if (typeof options.restWsBridgeTimeout !== 'number' || isNaN(options.restWsBridgeTimeout)) {
       throw new TypeError('The restWsBridgeTimeout option must be a number.');
     }
@@ -546,6 +644,60 @@ class Client extends EventEmitter {
     if (typeof options.retryLimit !== 'number' || isNaN(options.retryLimit)) {
       throw new TypeError('The retryLimit  options must be a number.');
     }
+    if (!options.retry || typeof options.retry !== 'object') throw new TypeError('The retry option must be an object.');
+    if (options.retry.statusCodes !== null && !(options.retry.statusCodes instanceof Array)) {
+      throw new TypeError('The retry.statusCodes option must be an Array.');
+    }
+    if (!(options.retry.errorCodes instanceof Array)) {
+      throw new TypeError('The retry.errorCodes option must be an Array.');
+    }
+    if (typeof options.retry.baseDelay !== 'number' || isNaN(options.retry.baseDelay)) {
+      throw new TypeError('The retry.baseDelay option must be a number.');
+    }
+    if (typeof options.retry.maxDelay !== 'number' || isNaN(options.retry.maxDelay)) {
+      throw new TypeError('The retry.maxDelay option must be a number.');
+    }
+    if (typeof options.reconnect.baseDelay !== 'number' || isNaN(options.reconnect.baseDelay)) {
+      throw new TypeError('The reconnect.baseDelay option must be a number.');
+    }
+    if (typeof options.reconnect.maxDelay !== 'number' || isNaN(options.reconnect.maxDelay)) {
+      throw new TypeError('The reconnect.maxDelay option must be a number.');
+    }
+    if (typeof options.reconnect.maxAttempts !== 'number' || isNaN(options.reconnect.maxAttempts)) {
+      throw new TypeError('The reconnect.maxAttempts option must be a number.');
+    }
+    if (typeof options.heartbeat.maxMissedAcks !== 'number' || isNaN(options.heartbeat.maxMissedAcks)) {
+      throw new TypeError('The heartbeat.maxMissedAcks option must be a number.');
+    }
+    if (options.heartbeat.maxMissedAcks < 1) {
+      throw new RangeError('The heartbeat.maxMissedAcks option must be at least 1.');
+    }
+    if (typeof options.heartbeat.pingWindow !== 'number' || isNaN(options.heartbeat.pingWindow)) {
+      throw new TypeError('The heartbeat.pingWindow option must be a number.');
+    }
+    if (options.heartbeat.pingWindow < 1) throw new RangeError('The heartbeat.pingWindow option must be at least 1.');
+    if (options.retry.shouldRetry && typeof options.retry.shouldRetry !== 'function') {
+      throw new TypeError('The retry.shouldRetry option must be a function.');
+    }
+    if (typeof options.restRateLimitThreshold !== 'number' || isNaN(options.restRateLimitThreshold)) {
+      throw new TypeError('The restRateLimitThreshold option must be a number.');
+    }
+    if (typeof options.restRequestTimeout !== 'number' || isNaN(options.restRequestTimeout)) {
+      throw new TypeError('The restRequestTimeout option must be a number.');
+    }
+    if (options.http.proxy && typeof options.http.proxy !== 'string') {
+      throw new TypeError('The http.proxy option must be a string.');
+    }
+    if (!options.identity || typeof options.identity !== 'object') {
+      throw new TypeError('The identity option must be an object.');
+    }
+    if (typeof options.restStats !== 'boolean') throw new TypeError('The restStats option must be a boolean.');
+    if (typeof options.ws.version !== 'number' || isNaN(options.ws.version)) {
+      throw new TypeError('The ws.version option must be a number.');
+    }
+    if (options.ws.version < 6 || options.ws.version > 10) {
+      throw new RangeError('The ws.version option must be between 6 and 10.');
+    }
   }
 }
 
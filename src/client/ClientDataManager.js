@@ -9,6 +9,7 @@ const VoiceChannel = require('../structures/VoiceChannel');
 const CategoryChannel = require('../structures/CategoryChannel');
 const NewsChannel = require('../structures/NewsChannel');
 const StoreChannel = require('../structures/StoreChannel');
+const ThreadChannel = require('../structures/ThreadChannel');
 const DMChannel = require('../structures/DMChannel');
 const GroupDMChannel = require('../structures/GroupDMChannel');
 
@@ -76,14 +77,23 @@ class ClientDataManager {
           case Constants.ChannelTypes.STORE:
             channel = new StoreChannel(guild, data);
             break;
+          case Constants.ChannelTypes.NEWS_THREAD:
+          case Constants.ChannelTypes.PUBLIC_THREAD:
+          case Constants.ChannelTypes.PRIVATE_THREAD:
+            channel = new ThreadChannel(guild, data);
+            break;
         }
 
-        guild.channels.set(channel.id, channel);
+        // Threads are kept apart from the channels of the guild, as they aren't listed with them
+        if (channel instanceof ThreadChannel) guild.threads.set(channel.id, channel);
+        else guild.channels.set(channel.id, channel);
       }
     }
 
     if (channel && !already) {
-      if (this.pastReady) this.client.emit(Constants.Events.CHANNEL_CREATE, channel);
+      if (this.pastReady && !(channel instanceof ThreadChannel)) {
+        this.client.emit(Constants.Events.CHANNEL_CREATE, channel);
+      }
       this.client.channels.set(channel.id, channel);
       return channel;
     } else if (already) {
@@ -126,6 +136,7 @@ class ClientDataManager {
   killChannel(channel) {
     this.client.channels.delete(channel.id);
     if (channel instanceof GuildChannel) channel.guild.channels.delete(channel.id);
+    if (channel instanceof ThreadChannel) channel.guild.threads.delete(channel.id);
   }
 
   updateGuild(currentGuild, newData) {
@@ -12,6 +12,7 @@ const GuildMember = require('../structures/GuildMember');
 const Emoji = require('../structures/Emoji');
 const ReactionEmoji = require('../structures/ReactionEmoji');
 const Role = require('../structures/Role');
+const RichEmbed = require('../structures/RichEmbed');
 
 /**
  * The DataResolver identifies different objects and tries to resolve a specific piece of information from them, e.g.
@@ -196,6 +197,47 @@ class ClientDataResolver {
     return String(data);
   }
 
+  /**
+   * Resolves embeds to the data sent to the API, checking the limits Discord places on the embeds of one message.
+   * @param {Array<RichEmbed|Object>} embeds The embeds to resolve
+   * @returns {Object[]}
+   */
+  resolveEmbeds(embeds) {
+    if (embeds.length > 10) throw new RangeError('Messages may not have more than 10 embeds.');
+    embeds = embeds.map(embed => embed instanceof RichEmbed ? embed : new RichEmbed(embed));
+    // Plain objects may leave out any of the text, or give values that still have to be converted to strings
+    const size = text => String(text || '').length;
+    const length = embeds.reduce((total, embed) => total +
+      size(embed.title) + size(embed.description) +
+      (embed.fields || []).reduce((sum, field) => sum + size(field.name) + size(field.value), 0) +
+      (embed.footer ? size(embed.footer.text) : 0) +
+      (embed.author ? size(embed.author.name) : 0), 0);
+    if (length > 6000) throw new RangeError('The embeds of a message may not exceed 6000 characters in total.');
+    return embeds.map(embed => embed.toJSON());
+  }
+
+  /**
+   * Resolves mention options to the `allowed_mentions` object sent to the API.
+   * @param {?MessageMentionOptions} [allowedMentions=this.client.options.allowedMentions] The mention options
+   * @param {boolean} [disableEveryone=this.client.options.disableEveryone] Whether @everyone and @here should
+   * be prevented from mentioning anyone
+   * @returns {?Object} `undefined` if mentions should be parsed as usual
+   */
+  resolveAllowedMentions(allowedMentions, disableEveryone) {
+    if (typeof allowedMentions === 'undefined') allowedMentions = this.client.options.allowedMentions;
+    if (typeof disableEveryone === 'undefined') disableEveryone = this.client.options.disableEveryone;
+    if (!allowedMentions && !disableEveryone) return undefined;
+
+    let { parse, users, roles, repliedUser } = allowedMentions || { parse: ['users', 'roles', 'everyone'] };
+    if (parse && disableEveryone) parse = parse.filter(type => type !== 'everyone');
+    return {
+      parse,
+      users: users && users.map(user => this.resolveUserID(user)),
+      roles: roles && roles.map(role => role instanceof Role ? role.id : role),
+      replied_user: repliedUser,
+    };
+  }
+
 
   /**
    * Resolves a Base64Resolvable, a string, or a BufferResolvable to a Base 64 image.
@@ -252,7 +294,8 @@ class ClientDataResolver {
 
     if (typeof resource === 'string') {
       if (/^https?:\/\//.test(resource)) {
-        return snekfetch.get(resource).then(res => res.body instanceof Buffer ? res.body : Buffer.from(res.text));
+        return snekfetch.get(resource, { agent: this.client.rest.agent })
+          .then(res => res.body instanceof Buffer ? res.body : Buffer.from(res.text));
       }
       return new Promise((resolve, reject) => {
         const file = path.resolve(resource);
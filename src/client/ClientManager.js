@@ -33,21 +33,36 @@ class ClientManager {
    * @param {string} token The authorization token
    * @param {Function} resolve Function to run when connection is successful
    * @param {Function} reject Function to run when connection fails
+   * @param {SessionState} [session] A session to try to resume
    */
-  connectToWebSocket(token, resolve, reject) {
+  connectToWebSocket(token, resolve, reject, session) {
     this.client.emit(Constants.Events.DEBUG, `Authenticated using token ${token}`);
     this.client.token = token;
+    if (this.client.options.fetchAllMembers && !this.client._hasIntent('GUILD_MEMBERS')) {
+      this.client.emit(Constants.Events.WARN,
+        'The fetchAllMembers option is set without the GUILD_MEMBERS intent; members may not be fetched.');
+    }
     const timeout = this.client.setTimeout(() => reject(new Error(Constants.Errors.TOOK_TOO_LONG)), 1000 * 300);
-    this.client.rest.methods.getGateway().then(res => {
-      const protocolVersion = Constants.DefaultOptions.ws.version;
-      const gateway = `${res.url}/?v=${protocolVersion}&encoding=${WebSocketConnection.ENCODING}`;
+    const getGateway = session && session.resumeGatewayURL ?
+      Promise.resolve({ url: session.resumeGatewayURL }) :
+      this.client.rest.methods.getGateway();
+    getGateway.then(res => {
+      const gateway = this.getGatewayURL(res.url);
       this.client.emit(Constants.Events.DEBUG, `Using gateway ${gateway}`);
       this.client.ws.connect(gateway);
+      if (session) {
+        // The connection only identifies once it is open, so it will resume this session instead
+        const connection = this.client.ws.connection;
+        connection.sessionID = session.sessionID;
+        connection.sequence = connection.closeSequence = session.sequence;
+        connection.resumeGatewayURL = session.resumeGatewayURL || null;
+      }
       this.client.ws.connection.once('error', reject);
       this.client.ws.connection.once('close', event => {
         if (event.code === 4004) reject(new Error(Constants.Errors.BAD_LOGIN));
         if (event.code === 4010) reject(new Error(Constants.Errors.INVALID_SHARD));
         if (event.code === 4011) reject(new Error(Constants.Errors.SHARDING_REQUIRED));
+        if (Constants.WSCloseActions[event.code] === 'fatal') reject(new Error(Constants.WSCodes[event.code]));
       });
       this.client.once(Constants.Events.READY, () => {
         resolve(token);
@@ -56,6 +71,18 @@ class ClientManager {
     }, reject);
   }
 
+  /**
+   * Builds the URL to connect to a gateway with, including the query string.
+   * @param {string} url The base URL of the gateway
+   * @returns {string}
+   */
+  getGatewayURL(url) {
+    const protocolVersion = this.client.options.ws.version;
+    let gateway = `${url}/?v=${protocolVersion}&encoding=${WebSocketConnection.ENCODING}`;
+    if (this.client.options.ws.compress === 'zlib-stream') gateway += '&compress=zlib-stream';
+    return gateway;
+  }
+
   destroy() {
     this.client.ws.destroy();
     this.client.rest.destroy();
@@ -6,6 +6,7 @@ class ActionsManager {
     this.register(require('./MessageDelete'));
     this.register(require('./MessageDeleteBulk'));
     this.register(require('./MessageUpdate'));
+    this.register(require('./MessageAck'));
     this.register(require('./MessageReactionAdd'));
     this.register(require('./MessageReactionRemove'));
     this.register(require('./MessageReactionRemoveEmoji'));
@@ -13,6 +14,9 @@ class ActionsManager {
     this.register(require('./ChannelCreate'));
     this.register(require('./ChannelDelete'));
     this.register(require('./ChannelUpdate'));
+    this.register(require('./ThreadCreate'));
+    this.register(require('./ThreadUpdate'));
+    this.register(require('./ThreadListSync'));
     this.register(require('./GuildDelete'));
     this.register(require('./GuildUpdate'));
     this.register(require('./GuildMemberGet'));
@@ -1,4 +1,5 @@
 const Action = require('./Action');
+const Constants = require('../../util/Constants');
 const DMChannel = require('../../structures/DMChannel');
 
 class ChannelDeleteAction extends Action {
@@ -15,6 +16,13 @@ class ChannelDeleteAction extends Action {
       client.dataManager.killChannel(channel);
       this.deleted.set(channel.id, channel);
       this.scheduleForDeletion(channel.id);
+      // The threads of a channel go away with it, without a deletion event of their own from Discord
+      if (channel.guild) {
+        for (const thread of channel.guild.threads.filter(t => t.parentID === channel.id).values()) {
+          this.handle(thread);
+          client.emit(Constants.Events.THREAD_DELETE, thread);
+        }
+      }
     } else {
       channel = this.deleted.get(data.id) || null;
     }
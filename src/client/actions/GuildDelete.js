@@ -29,6 +29,7 @@ class GuildDeleteAction extends Action {
       }
 
       for (const channel of guild.channels.values()) this.client.channels.delete(channel.id);
+      for (const thread of guild.threads.values()) this.client.channels.delete(thread.id);
       if (guild.voiceConnection) guild.voiceConnection.disconnect();
 
       // Delete guild
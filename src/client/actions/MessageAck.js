@@ -0,0 +1,38 @@
+const Action = require('./Action');
+const Constants = require('../../util/Constants');
+const ReadState = require('../../structures/ReadState');
+
+class MessageAckAction extends Action {
+  handle(data) {
+    const client = this.client;
+
+    // Reading up to a message also reads the mentions before it
+    data = Object.assign({ mention_count: 0 }, data);
+
+    let readState = client.readStates.get(data.channel_id);
+    if (readState) {
+      const { lastReadMessageID, mentionCount } = readState;
+      readState.patch(data);
+      // REST acknowledgements are echoed by the gateway
+      if (readState.lastReadMessageID !== lastReadMessageID || readState.mentionCount !== mentionCount) {
+        client.emit(Constants.Events.MESSAGE_ACK, readState);
+      }
+    } else {
+      readState = new ReadState(client, data);
+      client.readStates.set(readState.channelID, readState);
+      client.emit(Constants.Events.MESSAGE_ACK, readState);
+    }
+
+    return {
+      readState,
+    };
+  }
+}
+
+/**
+ * Emitted whenever the client user reads a channel, on this or another of their sessions.
+ * @event Client#messageAck
+ * @param {ReadState} readState The updated read state of the channel
+ */
+
+module.exports = MessageAckAction;
@@ -1,5 +1,6 @@
 const Action = require('./Action');
 const Message = require('../../structures/Message');
+const ReadState = require('../../structures/ReadState');
 
 class MessageCreateAction extends Action {
   handle(data) {
@@ -38,6 +39,7 @@ class MessageCreateAction extends Action {
           member.lastMessageID = data.id;
           member.lastMessage = message;
         }
+        if (client.user && !client.user.bot) this.updateReadState(message);
         return {
           message,
         };
@@ -48,6 +50,22 @@ class MessageCreateAction extends Action {
       message: null,
     };
   }
+
+  updateReadState(message) {
+    const client = this.client;
+    if (message.author.id === client.user.id) {
+      // Sending a message reads the channel up to it
+      client.actions.MessageAck.handle({ channel_id: message.channel.id, message_id: message.id });
+      return;
+    }
+    if (message.channel.type !== 'dm' && message.channel.type !== 'group' && !message.isMentioned(client.user)) return;
+    const readState = client.readStates.get(message.channel.id);
+    if (readState) {
+      readState.mentionCount++;
+    } else {
+      client.readStates.set(message.channel.id, new ReadState(client, { id: message.channel.id, mention_count: 1 }));
+    }
+  }
 }
 
 module.exports = MessageCreateAction;
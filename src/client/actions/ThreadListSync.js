@@ -0,0 +1,28 @@
+const Action = require('./Action');
+const Collection = require('../../util/Collection');
+
+class ThreadListSyncAction extends Action {
+  handle(data) {
+    const client = this.client;
+
+    const threads = new Collection();
+    for (const raw of data.threads) {
+      let thread = client.channels.get(raw.id);
+      if (thread) thread.setup(raw);
+      else thread = client.dataManager.newChannel(raw);
+      if (thread) threads.set(thread.id, thread);
+    }
+
+    // The thread members are those of the client user
+    if (data.members) {
+      for (const member of data.members) {
+        const thread = threads.get(member.id);
+        if (thread) thread._addMember(member);
+      }
+    }
+
+    return { threads };
+  }
+}
+
+module.exports = ThreadListSyncAction;
@@ -0,0 +1,35 @@
+const Action = require('./Action');
+const Constants = require('../../util/Constants');
+const Util = require('../../util/Util');
+
+class ThreadUpdateAction extends Action {
+  handle(data) {
+    const client = this.client;
+
+    const thread = client.channels.get(data.id);
+    if (thread) {
+      const oldThread = Util.cloneObject(thread);
+      thread.setup(data);
+      client.emit(Constants.Events.THREAD_UPDATE, oldThread, thread);
+      return {
+        old: oldThread,
+        updated: thread,
+      };
+    }
+
+    // Threads that weren't cached, such as ones that were just unarchived, are created instead
+    return {
+      old: null,
+      updated: client.actions.ThreadCreate.handle(data).thread,
+    };
+  }
+}
+
+/**
+ * Emitted whenever a thread is updated - e.g. name change, archived or locked.
+ * @event Client#threadUpdate
+ * @param {ThreadChannel} oldThread The thread before the update
+ * @param {ThreadChannel} newThread The thread after the update
+ */
+
+module.exports = ThreadUpdateAction;
@@ -1,4 +1,3 @@
-const snekfetch = require('snekfetch');
 const Constants = require('../../util/Constants');
 
 class APIRequest {
@@ -11,6 +10,8 @@ class APIRequest {
     this.data = data;
     this.files = files;
     this.route = this.getRoute(this.path);
+    this.majorParameter = this.getMajorParameter(this.path);
+    this.bucketRoute = `${this.method}:${this.route.replace(this.majorParameter, ':major')}`;
     this.reason = reason;
   }
 
@@ -28,6 +29,12 @@ class APIRequest {
     return routeBucket.join('/');
   }
 
+  getMajorParameter(url) {
+    // Rate limits are separated by the top-level resource a route acts upon
+    const match = /^\/(?:channels|guilds|webhooks)\/(\d{16,19})/.exec(url);
+    return match ? match[1] : 'global';
+  }
+
   getAuth() {
     if (this.client.token && this.client.user && this.client.user.bot) {
       return `Bot ${this.client.token}`;
@@ -37,19 +44,35 @@ class APIRequest {
     throw new Error(Constants.Errors.NO_TOKEN);
   }
 
+  /**
+   * Builds the request to hand to the transport.
+   * @returns {TransportRequest}
+   */
   gen() {
     const API = `${this.client.options.http.host}/api/v${this.client.options.http.version}`;
-    const request = snekfetch[this.method](`${API}${this.path}`);
-    if (this.auth) request.set('Authorization', this.getAuth());
-    if (this.reason) request.set('X-Audit-Log-Reason', encodeURIComponent(this.reason));
-    if (!this.rest.client.browser) request.set('User-Agent', this.rest.userAgentManager.userAgent);
-    if (this.files) {
-      for (const file of this.files) if (file && file.file) request.attach(file.name, file.file, file.name);
-      if (typeof this.data !== 'undefined') request.attach('payload_json', JSON.stringify(this.data));
-    } else if (this.data) {
-      request.send(this.data);
+    const headers = {};
+    if (this.auth) headers.Authorization = this.getAuth();
+    if (this.reason) headers['X-Audit-Log-Reason'] = encodeURIComponent(this.reason);
+    if (!this.rest.client.browser) headers['User-Agent'] = this.rest.userAgentManager.userAgent;
+    // Only the clients of user accounts describe themselves, unlike bots and webhooks
+    if (this.auth && !headers.Authorization.startsWith('Bot ')) {
+      headers['X-Super-Properties'] = this.rest.userAgentManager.superProperties;
     }
-    return request;
+    return {
+      method: this.method,
+      url: `${API}${this.path}`,
+      headers,
+      body: this.data,
+      files: this.files,
+    };
+  }
+
+  /**
+   * Performs the request through the REST manager's transport.
+   * @returns {Promise<TransportResponse>}
+   */
+  make() {
+    return this.rest.transport.request(this.gen());
   }
 }
 
@@ -0,0 +1,32 @@
+/**
+ * Represents a request that was aborted, or that timed out, before it completed.
+ * @extends Error
+ */
+class AbortError extends Error {
+  constructor(request, timeout = null) {
+    super(timeout === null ?
+      `Request aborted on ${request.method.toUpperCase()} ${request.path}` :
+      `Request timed out after ${timeout}ms on ${request.method.toUpperCase()} ${request.path}`);
+    this.name = 'AbortError';
+
+    /**
+     * The time after which the request timed out (in milliseconds), or `null` if it was aborted by a signal
+     * @type {?number}
+     */
+    this.timeout = timeout;
+
+    /**
+     * The path of the request relative to the HTTP endpoint
+     * @type {string}
+     */
+    this.path = request.path;
+
+    /**
+     * The HTTP method used for the request
+     * @type {string}
+     */
+    this.method = request.method;
+  }
+}
+
+module.exports = AbortError;
@@ -1,9 +1,11 @@
+const { APIErrors } = require('../../util/Constants');
+
 /**
  * Represents an error from the Discord API.
  * @extends Error
  */
 class DiscordAPIError extends Error {
-  constructor(path, error, method) {
+  constructor(path, error, method, httpStatus = null, request = null) {
     super();
     const flattened = this.constructor.flattenErrors(error.errors || error).join('\n');
     this.name = 'DiscordAPIError';
@@ -26,6 +28,30 @@ class DiscordAPIError extends Error {
      * @type {string}
      */
     this.method = method;
+
+    /**
+     * The HTTP status code of the response
+     * @type {?number}
+     */
+    this.httpStatus = httpStatus;
+
+    /**
+     * The data sent with the request
+     * @type {?HTTPErrorData}
+     */
+    this.requestData = request ? {
+      json: request.data,
+      files: request.files ? request.files.map(file => file.name) : [],
+    } : null;
+  }
+
+  /**
+   * The name of the error code in {@link Constants.APIErrors}, e.g. `UNKNOWN_MESSAGE`, or `null` if it is unknown
+   * @type {?APIError}
+   * @readonly
+   */
+  get errorName() {
+    return Object.keys(APIErrors).find(name => APIErrors[name] === this.code) || null;
   }
 
   /**
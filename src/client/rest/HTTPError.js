@@ -0,0 +1,53 @@
+/**
+ * Represents a request that failed without a usable response from the Discord API, either because of a server error
+ * (5xx) that exhausted the retries or because of a network error.
+ * @extends Error
+ */
+class HTTPError extends Error {
+  constructor(message, request, httpStatus = null, code = null) {
+    super(message);
+    this.name = 'HTTPError';
+
+    /**
+     * The HTTP status code of the response, or `null` if no response was received
+     * @type {?number}
+     */
+    this.httpStatus = httpStatus;
+
+    /**
+     * The code of the underlying network error (e.g. `ECONNRESET`), if any
+     * @type {?string}
+     */
+    this.code = code;
+
+    /**
+     * The path of the request relative to the HTTP endpoint
+     * @type {string}
+     */
+    this.path = request.path;
+
+    /**
+     * The HTTP method used for the request
+     * @type {string}
+     */
+    this.method = request.method;
+
+    /**
+     * The data sent with the request
+     * @type {HTTPErrorData}
+     */
+    this.requestData = {
+      json: request.data,
+      files: request.files ? request.files.map(file => file.name) : [],
+    };
+  }
+}
+
+/**
+ * The data sent with a request that failed.
+ * @typedef {Object} HTTPErrorData
+ * @property {*} json The JSON body of the request
+ * @property {string[]} files The names of the files attached to the request
+ */
+
+module.exports = HTTPError;
@@ -3,33 +3,160 @@ const RESTMethods = require('./RESTMethods');
 const SequentialRequestHandler = require('./RequestHandlers/Sequential');
 const BurstRequestHandler = require('./RequestHandlers/Burst');
 const APIRequest = require('./APIRequest');
+const RESTStats = require('./RESTStats');
+const AbortError = require('./AbortError');
+const SnekfetchTransport = require('./Transports/Snekfetch');
+const ProxyAgent = require('./ProxyAgent');
 const Constants = require('../../util/Constants');
+const Collection = require('../../util/Collection');
 
+/**
+ * Manages the requests made to the REST API and their rate limits.
+ */
 class RESTManager {
   constructor(client) {
     this.client = client;
     this.handlers = {};
     this.userAgentManager = new UserAgentManager(this);
     this.methods = new RESTMethods(this);
+
+    /**
+     * The agent every connection of the client is made with, if any
+     * @type {?http.Agent}
+     */
+    this.agent = client.options.http.agent ||
+      (client.options.http.proxy && !client.browser ? new ProxyAgent(client.options.http.proxy) : null);
+
+    this.transport = client.options.http.transport || new SnekfetchTransport(this.agent);
     this.rateLimitedEndpoints = {};
     this.globallyRateLimited = false;
+    this.globalTimeout = null;
+    this.globalReset = 0;
+
+    /**
+     * Bucket hashes received from Discord, mapped by the route they were received for. Routes sharing a hash
+     * also share a request handler (per major parameter)
+     * @type {Collection<string, string>}
+     */
+    this.bucketHashes = new Collection();
+
+    /**
+     * Statistics of the requests made to each route, if enabled with {@link ClientOptions#restStats}
+     * @type {?RESTStats}
+     */
+    this.stats = client.options.restStats ? new RESTStats() : null;
   }
 
   destroy() {
+    if (this.globalTimeout) this.client.clearTimeout(this.globalTimeout);
+    this.globalTimeout = null;
+    this.globallyRateLimited = false;
     for (const handlerKey of Object.keys(this.handlers)) {
       const handler = this.handlers[handlerKey];
       if (handler.destroy) handler.destroy();
     }
   }
 
-  push(handler, apiRequest) {
+  /**
+   * Information about the rate limits of a bucket.
+   * @typedef {Object} RateLimitBucket
+   * @property {string} bucket The bucket hash and major parameter, or the route while the hash is unknown
+   * @property {number} limit The number of requests that can be made per window
+   * @property {number} remaining The number of requests remaining in the current window
+   * @property {number} resetTime The timestamp at which the current window resets
+   * @property {number} resetAfter How long until a new request can be made (in milliseconds)
+   * @property {number} queued The number of requests waiting in the queue
+   */
+
+  /**
+   * The rate limit buckets requests were made in, mapped by their bucket
+   * @type {Collection<string, RateLimitBucket>}
+   * @readonly
+   */
+  get buckets() {
+    const buckets = new Collection();
+    for (const handlerKey of Object.keys(this.handlers)) {
+      const handler = this.handlers[handlerKey];
+      // Handlers are listed under every key they were stored at
+      if (handler.bucket === handlerKey) buckets.set(handlerKey, handler.toJSON());
+    }
+    return buckets;
+  }
+
+  /**
+   * How long until the current global rate limit is over (in milliseconds)
+   * @type {number}
+   * @readonly
+   */
+  get globalResetAfter() {
+    return this.globallyRateLimited ? Math.max(this.globalReset - Date.now(), 0) : 0;
+  }
+
+  /**
+   * Gets the rate limit bucket a request would be made in.
+   * @param {string} method The HTTP method of the request
+   * @param {string} path The path of the request relative to the HTTP endpoint, e.g. `/channels/123/messages`
+   * @returns {?RateLimitBucket} The bucket, or `null` if no request was made in it yet
+   */
+  getBucket(method, path) {
+    const handler = this.handlers[this.getBucketKey(new APIRequest(this, method.toLowerCase(), path))];
+    return handler ? handler.toJSON() : null;
+  }
+
+  /**
+   * Options for a single request.
+   * @typedef {Object} RequestOptions
+   * @property {number} [timeout=this.client.options.restRequestTimeout] Time in milliseconds after which the request
+   * is aborted if it has not completed (0 for no timeout)
+   * @property {AbortSignal} [signal] A signal (or any object with `aborted` and `addEventListener`) that aborts the
+   * request when it fires
+   */
+
+  push(handler, apiRequest, options = {}) {
     return new Promise((resolve, reject) => {
-      handler.push({
+      const { signal } = options;
+      const timeout = typeof options.timeout === 'number' ? options.timeout : this.client.options.restRequestTimeout;
+      if (signal && signal.aborted) {
+        reject(new AbortError(apiRequest));
+        return;
+      }
+
+      let timer = null;
+      let onAbort = null;
+      const cleanup = () => {
+        if (timer) this.client.clearTimeout(timer);
+        if (onAbort) signal.removeEventListener('abort', onAbort);
+      };
+      const item = {
         request: apiRequest,
-        resolve,
-        reject,
+        resolve: data => {
+          cleanup();
+          resolve(data);
+        },
+        reject: err => {
+          cleanup();
+          reject(err);
+        },
         retries: 0,
-      });
+        aborted: false,
+      };
+      // A request that is already being made still completes, but its result is discarded
+      const abort = error => {
+        item.aborted = true;
+        handler.remove(item);
+        item.reject(error);
+      };
+
+      if (signal) {
+        onAbort = () => abort(new AbortError(apiRequest));
+        signal.addEventListener('abort', onAbort);
+      }
+      if (timeout > 0) timer = this.client.setTimeout(() => abort(new AbortError(apiRequest, timeout)), timeout);
+
+      const globalResetAfter = this.globalResetAfter;
+      const rateLimitTimeout = Math.max(handler.resetAfter, globalResetAfter);
+      if (handler.rejectIfLimited(item, rateLimitTimeout, rateLimitTimeout === globalResetAfter)) return;
+      handler.push(item);
     });
   }
 
@@ -44,14 +171,58 @@ class RESTManager {
     }
   }
 
-  makeRequest(method, url, auth, data, file, reason) {
+  /**
+   * Gets the key of the handler a request should be queued in.
+   * @param {APIRequest} apiRequest The request
+   * @returns {string}
+   */
+  getBucketKey(apiRequest) {
+    const hash = this.bucketHashes.get(apiRequest.bucketRoute);
+    return hash ? `${hash}:${apiRequest.majorParameter}` : apiRequest.route;
+  }
+
+  /**
+   * Records the bucket hash Discord reported for a request's route.
+   * @param {APIRequest} apiRequest The request
+   * @param {string} hash The bucket hash
+   * @param {RequestHandler} handler The handler that made the request
+   * @returns {RequestHandler} The handler requests in the bucket are queued in
+   */
+  setBucketHash(apiRequest, hash, handler) {
+    this.bucketHashes.set(apiRequest.bucketRoute, hash);
+    // The first handler to learn of a bucket becomes its queue, so it keeps the rate limit state it already has
+    const bucket = `${hash}:${apiRequest.majorParameter}`;
+    if (!this.handlers[bucket]) {
+      this.handlers[bucket] = handler;
+      handler.bucket = bucket;
+    }
+    return this.handlers[bucket];
+  }
+
+  /**
+   * Stops every handler from making requests until a global rate limit is over.
+   * @param {number} duration How long the global rate limit lasts (in milliseconds)
+   */
+  setGlobalLimit(duration) {
+    this.globallyRateLimited = true;
+    this.globalReset = Date.now() + duration;
+    if (this.globalTimeout) this.client.clearTimeout(this.globalTimeout);
+    this.globalTimeout = this.client.setTimeout(() => {
+      this.globalTimeout = null;
+      this.globallyRateLimited = false;
+      for (const handlerKey of Object.keys(this.handlers)) this.handlers[handlerKey].handle();
+    }, duration);
+  }
+
+  makeRequest(method, url, auth, data, file, reason, options) {
     const apiRequest = new APIRequest(this, method, url, auth, data, file, reason);
-    if (!this.handlers[apiRequest.route]) {
+    const bucket = this.getBucketKey(apiRequest);
+    if (!this.handlers[bucket]) {
       const RequestHandlerType = this.getRequestHandler();
-      this.handlers[apiRequest.route] = new RequestHandlerType(this, apiRequest.route);
+      this.handlers[bucket] = new RequestHandlerType(this, bucket);
     }
 
-    return this.push(this.handlers[apiRequest.route], apiRequest);
+    return this.push(this.handlers[bucket], apiRequest, options);
   }
 }
 
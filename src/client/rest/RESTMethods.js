@@ -7,8 +7,8 @@ const Collection = require('../../util/Collection');
 const Util = require('../../util/Util');
 const resolvePermissions = require('../../structures/shared/resolvePermissions');
 
-const RichEmbed = require('../../structures/RichEmbed');
 const User = require('../../structures/User');
+const ClientUser = require('../../structures/ClientUser');
 const GuildMember = require('../../structures/GuildMember');
 const Message = require('../../structures/Message');
 const Role = require('../../structures/Role');
@@ -28,14 +28,15 @@ class RESTMethods {
   constructor(restManager) {
     this.rest = restManager;
     this.client = restManager.client;
+    // Each acknowledgement responds with a token that has to be sent with the next one
     this._ackToken = null;
   }
 
-  login(token = this.client.token) {
+  login(token = this.client.token, session) {
     return new Promise((resolve, reject) => {
       if (!token || typeof token !== 'string') throw new Error(Constants.Errors.INVALID_TOKEN);
       token = token.replace(/^Bot\s*/i, '');
-      this.client.manager.connectToWebSocket(token, resolve, reject);
+      this.client.manager.connectToWebSocket(token, resolve, reject, session);
     }).catch(e => {
       this.client.destroy();
       return Promise.reject(e);
@@ -68,7 +69,10 @@ class RESTMethods {
     }));
   }
 
-  sendMessage(channel, content, { tts, nonce, embed, disableEveryone, split, code, reply } = {}, files = null) {
+  sendMessage(channel, content, {
+    tts, nonce, embed, embeds, disableEveryone, allowedMentions, split, code, reply, replyTo, failIfNotExists = true,
+    mentionRepliedUser = true, timeout, signal,
+  } = {}, files = null) {
     return new Promise((resolve, reject) => { // eslint-disable-line complexity
       if (typeof content !== 'undefined') content = this.client.resolver.resolveString(content);
 
@@ -78,6 +82,8 @@ class RESTMethods {
         if (isNaN(nonce) || nonce < 0) throw new RangeError('Message nonce must fit in an unsigned 64-bit integer.');
       }
 
+      if (embed || embeds) embeds = this.client.resolver.resolveEmbeds((embed ? [embed] : []).concat(embeds || []));
+
       if (content) {
         if (split && typeof split !== 'object') split = {};
 
@@ -91,11 +97,6 @@ class RESTMethods {
           }
         }
 
-        // Add zero-width spaces to @everyone/@here
-        if (disableEveryone || (typeof disableEveryone === 'undefined' && this.client.options.disableEveryone)) {
-          content = content.replace(/@(everyone|here)/g, '@\u200b$1');
-        }
-
         // Add the reply prefix
         if (reply && !(channel instanceof User || channel instanceof GuildMember) && channel.type !== 'dm') {
           const id = this.client.resolver.resolveUserID(reply);
@@ -111,11 +112,31 @@ class RESTMethods {
         content = `<@${reply instanceof GuildMember && reply.nickname ? '!' : ''}${id}>`;
       }
 
+      let resolvedMentions = this.client.resolver.resolveAllowedMentions(allowedMentions, disableEveryone);
+
+      // Reply inline to a message
+      let messageReference;
+      if (replyTo && !(content instanceof Array)) {
+        messageReference = {
+          message_id: replyTo instanceof Message ? replyTo.id : replyTo,
+          fail_if_not_exists: failIfNotExists,
+        };
+        if (!mentionRepliedUser) {
+          resolvedMentions = Object.assign(resolvedMentions || { parse: ['users', 'roles', 'everyone'] }, {
+            replied_user: false,
+          });
+        }
+      }
+
       const send = chan => {
         if (content instanceof Array) {
           const messages = [];
           (function sendChunk(list, index) {
-            const options = index === list.length - 1 ? { tts, embed, files } : { tts };
+            const options = index === list.length - 1 ?
+              { tts, embeds, files, disableEveryone, allowedMentions, timeout, signal } :
+              { tts, disableEveryone, allowedMentions, timeout, signal };
+            // Only the first piece replies
+            if (index === 0) Object.assign(options, { replyTo, failIfNotExists, mentionRepliedUser });
             chan.send(list[index], options).then(message => {
               messages.push(message);
               if (index >= list.length - 1) return resolve(messages);
@@ -124,8 +145,9 @@ class RESTMethods {
           }(content, 0));
         } else {
           this.rest.makeRequest('post', Endpoints.Channel(chan).messages, true, {
-            content, tts, nonce, embed,
-          }, files).then(data => resolve(this.client.actions.MessageCreate.handle(data).message), reject);
+            content, tts, nonce, embeds, message_reference: messageReference, allowed_mentions: resolvedMentions,
+          }, files, undefined, { timeout, signal })
+            .then(data => resolve(this.client.actions.MessageCreate.handle(data).message), reject);
         }
       };
 
@@ -134,7 +156,7 @@ class RESTMethods {
     });
   }
 
-  updateMessage(message, content, { flags, embed, code, reply } = {}) {
+  updateMessage(message, content, { flags, embed, embeds, code, reply, allowedMentions, timeout, signal } = {}) {
     if (typeof content !== 'undefined') content = this.client.resolver.resolveString(content);
 
     if (typeof flags !== 'undefined') flags = MessageFlags.resolve(flags);
@@ -152,11 +174,18 @@ class RESTMethods {
       content = `${mention}${content ? `, ${content}` : ''}`;
     }
 
-    if (embed instanceof RichEmbed) embed = embed.toJSON();
+    // An embed of null removes the embeds
+    if (typeof embed !== 'undefined' || embeds) {
+      try {
+        embeds = this.client.resolver.resolveEmbeds((embed ? [embed] : []).concat(embeds || []));
+      } catch (err) {
+        return Promise.reject(err);
+      }
+    }
 
     return this.rest.makeRequest('patch', Endpoints.Message(message), true, {
-      content, embed, flags,
-    }).then(data => this.client.actions.MessageUpdate.handle(data).updated);
+      content, embeds, flags, allowed_mentions: this.client.resolver.resolveAllowedMentions(allowedMentions),
+    }, undefined, undefined, { timeout, signal }).then(data => this.client.actions.MessageUpdate.handle(data).updated);
   }
 
   deleteMessage(message) {
@@ -172,21 +201,51 @@ class RESTMethods {
   ackMessage(message) {
     return this.rest.makeRequest('post', Endpoints.Message(message).ack, true, { token: this._ackToken }).then(res => {
       if (res.token) this._ackToken = res.token;
+      this.client.actions.MessageAck.handle({ channel_id: message.channel.id, message_id: message.id });
       return message;
     });
   }
 
   ackTextChannel(channel) {
-    return this.rest.makeRequest('post', Endpoints.Channel(channel).Message(channel.lastMessageID).ack, true, {
+    const messageID = channel.lastMessageID;
+    return this.rest.makeRequest('post', Endpoints.Channel(channel).Message(messageID).ack, true, {
       token: this._ackToken,
     }).then(res => {
       if (res.token) this._ackToken = res.token;
+      this.client.actions.MessageAck.handle({ channel_id: channel.id, message_id: messageID });
       return channel;
     });
   }
 
   ackGuild(guild) {
-    return this.rest.makeRequest('post', Endpoints.Guild(guild).ack, true).then(() => guild);
+    const channels = guild.channels.filter(channel => channel.lastMessageID);
+    return this.rest.makeRequest('post', Endpoints.Guild(guild).ack, true).then(() => {
+      for (const channel of channels.values()) {
+        this.client.actions.MessageAck.handle({ channel_id: channel.id, message_id: channel.lastMessageID });
+      }
+      return guild;
+    });
+  }
+
+  ackChannels(channels) {
+    const readStates = new Collection();
+    let request = Promise.resolve();
+    // Up to 100 channels can be acknowledged at once
+    for (let i = 0; i < channels.length; i += 100) {
+      const acks = channels.slice(i, i + 100).map(channel => ({
+        channel_id: channel.id,
+        message_id: channel.lastMessageID,
+        read_state_type: 0,
+      }));
+      request = request.then(() =>
+        this.rest.makeRequest('post', Endpoints.readStates.ackBulk, true, { read_states: acks }).then(() => {
+          for (const ack of acks) {
+            readStates.set(ack.channel_id, this.client.actions.MessageAck.handle(ack).readState);
+          }
+        })
+      );
+    }
+    return request.then(() => readStates);
   }
 
   bulkDeleteMessages(channel, messages) {
@@ -363,6 +422,75 @@ class RESTMethods {
     );
   }
 
+  createThread(channel, name, { autoArchiveDuration, type, invitable, rateLimitPerUser, message, reason } = {}) {
+    const endpoint = message ? Endpoints.Channel(channel).Message(message).threads : Endpoints.Channel(channel).threads;
+    if (type) type = Constants.ChannelTypes[type.toUpperCase()];
+    else if (channel.type === 'news') type = Constants.ChannelTypes.NEWS_THREAD;
+    else type = Constants.ChannelTypes.PUBLIC_THREAD;
+    return this.rest.makeRequest('post', endpoint, true, {
+      name,
+      type: message ? undefined : type,
+      invitable,
+      auto_archive_duration: autoArchiveDuration,
+      rate_limit_per_user: rateLimitPerUser,
+    }, undefined, reason).then(data => this.client.actions.ThreadCreate.handle(data).thread);
+  }
+
+  updateThread(thread, _data, reason) {
+    return this.rest.makeRequest('patch', Endpoints.Channel(thread), true, {
+      name: _data.name ? _data.name.trim() : undefined,
+      archived: _data.archived,
+      locked: _data.locked,
+      invitable: _data.invitable,
+      auto_archive_duration: _data.autoArchiveDuration,
+      rate_limit_per_user: _data.rateLimitPerUser,
+    }, undefined, reason).then(newData => this.client.actions.ThreadUpdate.handle(newData).updated);
+  }
+
+  addThreadMember(thread, userID) {
+    return this.rest.makeRequest('put', Endpoints.Channel(thread).ThreadMember(userID), true).then(() => thread);
+  }
+
+  removeThreadMember(thread, userID) {
+    return this.rest.makeRequest('delete', Endpoints.Channel(thread).ThreadMember(userID), true).then(() => {
+      thread.members.delete(userID === '@me' ? this.client.user.id : userID);
+      return thread;
+    });
+  }
+
+  getThreadMembers(thread) {
+    return this.rest.makeRequest('get', Endpoints.Channel(thread).threadMembers, true).then(data => {
+      const members = new Collection();
+      for (const member of data) {
+        const threadMember = thread._addMember(member);
+        members.set(threadMember.id, threadMember);
+      }
+      return members;
+    });
+  }
+
+  getActiveThreads(guild) {
+    return this.rest.makeRequest('get', Endpoints.Guild(guild).activeThreads, true).then(data => ({
+      threads: this.client.actions.ThreadListSync.handle(data).threads,
+      hasMore: false,
+    }));
+  }
+
+  getArchivedThreads(channel, { type = 'public', joined = false, before, limit } = {}) {
+    const endpoint = joined ?
+      Endpoints.Channel(channel).threads.joinedArchived :
+      Endpoints.Channel(channel).threads.archived(type);
+    // Joined threads are paginated by ID, the others by when they were archived
+    if (before && before.id) before = joined ? before.id : before.archivedAt;
+    if (before instanceof Date) before = before.toISOString();
+    else if (typeof before === 'number') before = new Date(before).toISOString();
+    const queryString = (querystring.stringify({ before, limit }).match(/[^=&?]+=[^=&?]+/g) || []).join('&');
+    return this.rest.makeRequest('get', `${endpoint}${queryString ? `?${queryString}` : ''}`, true).then(data => ({
+      threads: this.client.actions.ThreadListSync.handle(data).threads,
+      hasMore: Boolean(data.has_more),
+    }));
+  }
+
   leaveGuild(guild) {
     if (guild.ownerID === this.client.user.id) return Promise.reject(new Error('Guild is owned by the client.'));
     return this.rest.makeRequest('delete', Endpoints.User('@me').Guild(guild.id), true).then(() =>
@@ -402,6 +530,36 @@ class RESTMethods {
     );
   }
 
+  getClientUser() {
+    return this.rest.makeRequest('get', Endpoints.User('@me'), true).then(data => {
+      const clientUser = new ClientUser(this.client, data);
+      this.client.user = clientUser;
+      this.client.users.set(clientUser.id, clientUser);
+      return clientUser;
+    });
+  }
+
+  getClientState() {
+    // Only the guilds (with their roles and emojis) and their channels are fetched, as the events refer to them
+    const getGuild = partial => Promise.all([
+      this.rest.makeRequest('get', Endpoints.Guild(partial.id), true),
+      this.rest.makeRequest('get', Endpoints.Guild(partial.id).channels, true),
+    ]).then(([data, channels]) => {
+      data.channels = channels;
+      return this.client.dataManager.newGuild(data);
+    });
+    // A few guilds are fetched at a time, so that accounts in many guilds don't flood the request queues
+    const getGuilds = guilds => {
+      const next = () => guilds.length ? getGuild(guilds.shift()).then(next) : Promise.resolve();
+      return Promise.all(Array.from({ length: Math.min(guilds.length, 5) }, next));
+    };
+    return Promise.all([
+      this.rest.makeRequest('get', Endpoints.User('@me').guilds, true).then(getGuilds),
+      this.rest.makeRequest('get', Endpoints.User('@me').channels, true)
+        .then(channels => channels.map(channel => this.client.dataManager.newChannel(channel))),
+    ]);
+  }
+
   getUser(userID, cache) {
     return this.rest.makeRequest('get', Endpoints.User(userID), true).then(data => {
       if (cache) return this.client.actions.UserGet.handle(data).user;
@@ -832,14 +990,19 @@ class RESTMethods {
       false, undefined, undefined, reason);
   }
 
-  sendWebhookMessage(webhook, content, { avatarURL, tts, embeds, username } = {}, files = null) {
+  sendWebhookMessage(webhook, content, {
+    avatarURL, tts, embeds, username, disableEveryone, allowedMentions,
+  } = {}, files = null) {
     return new Promise((resolve, reject) => {
       username = username || webhook.name;
+      if (embeds) embeds = this.client.resolver.resolveEmbeds(embeds);
 
       if (content instanceof Array) {
         const messages = [];
         (function sendChunk(list, index) {
-          const options = index === list.length - 1 ? { tts, embeds, files } : { tts };
+          const options = index === list.length - 1 ?
+            { tts, embeds, files, disableEveryone, allowedMentions } :
+            { tts, disableEveryone, allowedMentions };
           webhook.send(list[index], options).then(message => {
             messages.push(message);
             if (index >= list.length - 1) return resolve(messages);
@@ -853,6 +1016,7 @@ class RESTMethods {
           content,
           tts,
           embeds,
+          allowed_mentions: this.client.resolver.resolveAllowedMentions(allowedMentions, disableEveryone),
         }, files).then(data => {
           if (!this.client.channels) resolve(data);
           else resolve(this.client.actions.MessageCreate.handle(data).message);
@@ -0,0 +1,90 @@
+const Collection = require('../../util/Collection');
+
+/**
+ * Aggregates the requests made to the REST API by route, so the routes causing the most traffic or rate limits can
+ * be found.
+ */
+class RESTStats {
+  /**
+   * @param {number} [sampleSize=1000] How many of the latest latencies to keep per route for the percentiles
+   */
+  constructor(sampleSize = 1000) {
+    /**
+     * How many of the latest latencies are kept per route for the percentiles
+     * @type {number}
+     */
+    this.sampleSize = sampleSize;
+
+    /**
+     * The raw counters of each route, mapped by route
+     * @type {Collection<string, Object>}
+     * @private
+     */
+    this.routes = new Collection();
+  }
+
+  /**
+   * Records a request that was made.
+   * @param {APIRequest} request The request
+   * @param {?number} status The HTTP status code of the response, or `null` if no response was received
+   * @param {number} latency How long the request took (in milliseconds)
+   */
+  record(request, status, latency) {
+    let route = this.routes.get(request.bucketRoute);
+    if (!route) {
+      route = { requests: 0, rateLimited: 0, errors: 0, latencies: [] };
+      this.routes.set(request.bucketRoute, route);
+    }
+    route.requests++;
+    if (status === 429) route.rateLimited++;
+    else if (status === null || status >= 400) route.errors++;
+    route.latencies.push(latency);
+    if (route.latencies.length > this.sampleSize) route.latencies.shift();
+  }
+
+  /**
+   * Clears every counter.
+   */
+  reset() {
+    this.routes.clear();
+  }
+
+  /**
+   * Statistics of the requests made to a route.
+   * @typedef {Object} RESTRouteStats
+   * @property {string} route The route, e.g. `post:/channels/:major/messages`
+   * @property {number} requests The number of requests made, including retries
+   * @property {number} rateLimited The number of requests that got a 429 response
+   * @property {number} errors The number of requests that failed otherwise
+   * @property {Object} latency Percentiles of the latest latencies (in milliseconds)
+   * @property {number} latency.p50 The median latency
+   * @property {number} latency.p90 The 90th percentile of the latencies
+   * @property {number} latency.p99 The 99th percentile of the latencies
+   * @property {number} latency.max The highest latency
+   */
+
+  /**
+   * Gets the statistics of every route requests were made to, the most requested first.
+   * @returns {RESTRouteStats[]}
+   */
+  toJSON() {
+    return this.routes.map((route, key) => {
+      const sorted = route.latencies.slice().sort((a, b) => a - b);
+      const percentile = p => sorted.length ? sorted[Math.min(Math.ceil(p * sorted.length) - 1, sorted.length - 1)] : 0;
+      return {
+        route: key,
+        requests: route.requests,
+        rateLimited: route.rateLimited,
+        errors: route.errors,
+        latency: {
+          p50: percentile(0.5),
+          p90: percentile(0.9),
+          p99: percentile(0.99),
+          max: sorted.length ? sorted[sorted.length - 1] : 0,
+        },
+      };
+    }).sort((a, b) => b.requests - a.requests);
+  }
+}
+
+module.exports = RESTStats;
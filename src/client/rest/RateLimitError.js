@@ -0,0 +1,48 @@
+/**
+ * Represents a request that was rejected rather than waiting for a rate limit to reset.
+ * @extends Error
+ */
+class RateLimitError extends Error {
+  constructor(request, timeout, limit, global) {
+    super(`Rate limited for ${timeout}ms on ${request.method.toUpperCase()} ${request.path}`);
+    this.name = 'RateLimitError';
+
+    /**
+     * How long the request would have had to wait (in milliseconds)
+     * @type {number}
+     */
+    this.timeout = timeout;
+
+    /**
+     * The number of requests that can be made in the bucket per window
+     * @type {number}
+     */
+    this.limit = limit;
+
+    /**
+     * The path of the request relative to the HTTP endpoint
+     * @type {string}
+     */
+    this.path = request.path;
+
+    /**
+     * The HTTP method used for the request
+     * @type {string}
+     */
+    this.method = request.method;
+
+    /**
+     * The route of the request
+     * @type {string}
+     */
+    this.route = request.route;
+
+    /**
+     * Whether the rate limit is global
+     * @type {boolean}
+     */
+    this.global = global;
+  }
+}
+
+module.exports = RateLimitError;
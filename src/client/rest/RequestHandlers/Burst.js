@@ -1,21 +1,7 @@
 const RequestHandler = require('./RequestHandler');
-const DiscordAPIError = require('../DiscordAPIError');
 const { Events: { RATE_LIMIT } } = require('../../../util/Constants');
 
 class BurstRequestHandler extends RequestHandler {
-  constructor(restManager, endpoint) {
-    super(restManager, endpoint);
-
-    this.client = restManager.client;
-
-    this.limit = Infinity;
-    this.resetTime = null;
-    this.remaining = 1;
-    this.timeDifference = 0;
-
-    this.resetTimeout = null;
-  }
-
   push(request) {
     super.push(request);
     this.handle();
@@ -23,41 +9,25 @@ class BurstRequestHandler extends RequestHandler {
 
   execute(item) {
     if (!item) return;
-    item.request.gen().end((err, res) => {
-      if (res && res.headers) {
-        this.limit = Number(res.headers['x-ratelimit-limit']);
-        this.resetTime = Number(res.headers['x-ratelimit-reset']) * 1000;
-        this.remaining = Number(res.headers['x-ratelimit-remaining']);
-        this.timeDifference = Date.now() - new Date(res.headers.date).getTime();
-      }
-      if (err) {
-        if (err.status === 429) {
-          this.queue.unshift(item);
-          if (res.headers['x-ratelimit-global']) this.globalLimit = true;
-          if (this.resetTimeout) return;
-          this.resetTimeout = this.client.setTimeout(() => {
-            this.remaining = this.limit;
-            this.globalLimit = false;
-            this.handle();
-            this.resetTimeout = null;
-          }, Number(res.headers['retry-after']) + this.client.options.restTimeOffset);
-        } else if (err.status >= 500 && err.status < 600) {
-          if (item.retries === this.client.options.retryLimit) {
-            item.reject(err);
-            this.handle();
-          } else {
-            item.retries++;
-            this.queue.unshift(item);
-            this.resetTimeout = this.client.setTimeout(() => {
-              this.handle();
-              this.resetTimeout = null;
-            }, 1e3 + this.client.options.restTimeOffset);
-          }
+    this.makeRequest(item).then(res => {
+      this.updateRateLimits(item, res);
+      if (res.status === 429) {
+        const retryAfter = this.getRetryAfter(res) + this.client.options.restTimeOffset;
+        const global = Boolean(res.headers['x-ratelimit-global']);
+        if (!this.rejectIfLimited(item, retryAfter, global)) this.requeue(item);
+        this.markQueued();
+        if (global) {
+          this.restManager.setGlobalLimit(retryAfter);
         } else {
-          item.reject(err.status >= 400 && err.status < 500 ?
-            new DiscordAPIError(res.request.path, res.body, res.request.method) : err);
-          this.handle();
+          this.remaining = 0;
+          this.resetTime = Math.max(this.resetTime, Date.now() + retryAfter);
+          this.handleLater(retryAfter);
         }
+      } else if (res.status >= 500 && res.status < 600) {
+        this.retryOrReject(item, this.createError(item, res));
+      } else if (res.status >= 400) {
+        item.reject(this.createError(item, res));
+        this.handle();
       } else {
         if (this.remaining === 0) {
           if (this.client.listenerCount(RATE_LIMIT)) {
@@ -69,18 +39,46 @@ class BurstRequestHandler extends RequestHandler {
             });
           }
         }
-        this.globalLimit = false;
-        const data = res && res.body ? res.body : {};
+        const data = res.body ? res.body : {};
         item.resolve(data);
         this.handle();
       }
+    }, err => {
+      this.retryOrReject(item, this.createNetworkError(item, err));
     });
   }
 
+  /**
+   * Queues a failed request again once its retry delay is over, or rejects it if it should not be retried.
+   * @param {Object} item The queued item that failed
+   * @param {HTTPError} error The error the request failed with
+   */
+  retryOrReject(item, error) {
+    const delay = this.getRetryDelay(item, error);
+    if (delay === null) {
+      item.reject(error);
+      this.handle();
+    } else {
+      // Other requests keep going meanwhile, so the retry waits outside of the queue
+      this.client.setTimeout(() => {
+        this.requeue(item);
+        this.handle();
+      }, delay);
+    }
+  }
+
   handle() {
     super.handle();
     if (this.queue.length === 0) return;
-    if ((this.remaining <= 0 || this.globalLimit) && Date.now() - this.timeDifference < this.resetTime) return;
+    if (this.globalLimit) {
+      this.markQueued();
+      return;
+    }
+    if (this.limited) {
+      this.markQueued();
+      this.handleLater(this.resetTime - Date.now() + this.client.options.restTimeOffset);
+      return;
+    }
     this.execute(this.queue.shift());
     this.remaining--;
     this.handle();
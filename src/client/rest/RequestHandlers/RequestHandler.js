@@ -1,3 +1,8 @@
+const DiscordAPIError = require('../DiscordAPIError');
+const HTTPError = require('../HTTPError');
+const RateLimitError = require('../RateLimitError');
+const { Events: { API_REQUEST, API_RESPONSE } } = require('../../../util/Constants');
+
 /**
  * A base class for different types of rate limiting handlers for the REST API.
  * @private
@@ -5,19 +10,64 @@
 class RequestHandler {
   /**
    * @param {RESTManager} restManager The REST manager to use
+   * @param {string} bucket The bucket this handler is handling
    */
-  constructor(restManager) {
+  constructor(restManager, bucket) {
     /**
      * The RESTManager that instantiated this RequestHandler
      * @type {RESTManager}
      */
     this.restManager = restManager;
 
+    /**
+     * The client that instantiated this handler
+     * @type {Client}
+     */
+    this.client = restManager.client;
+
+    /**
+     * The bucket that this handler is handling, either a bucket hash and major parameter received from Discord, or
+     * the route of the requests while their bucket is unknown
+     * @type {string}
+     */
+    this.bucket = bucket;
+
     /**
      * A list of requests that have yet to be processed
      * @type {APIRequest[]}
      */
     this.queue = [];
+
+    /**
+     * The number of requests that can be made in this bucket per window
+     * @type {number}
+     */
+    this.limit = Infinity;
+
+    /**
+     * The number of requests remaining in the current window
+     * @type {number}
+     */
+    this.remaining = 1;
+
+    /**
+     * The timestamp (of the local clock) at which the current window resets
+     * @type {number}
+     */
+    this.resetTime = 0;
+
+    /**
+     * The time difference between Discord's Dates and the local computer's Dates. A positive number means the local
+     * computer's time is ahead of Discord's
+     * @type {number}
+     */
+    this.timeDifference = 0;
+
+    /**
+     * The timeout for processing the queue once the current window resets
+     * @type {?Timeout}
+     */
+    this.resetTimeout = null;
   }
 
   /**
@@ -33,6 +83,24 @@ class RequestHandler {
     this.restManager.globallyRateLimited = value;
   }
 
+  /**
+   * Whether or not this bucket has no requests remaining until its window resets
+   * @type {boolean}
+   * @readonly
+   */
+  get limited() {
+    return this.remaining <= 0 && Date.now() < this.resetTime;
+  }
+
+  /**
+   * How long until a new request can be made in this bucket (in milliseconds)
+   * @type {number}
+   * @readonly
+   */
+  get resetAfter() {
+    return this.limited ? this.resetTime - Date.now() : 0;
+  }
+
   /**
    * Push a new API request into this bucket.
    * @param {APIRequest} request The new request to push into the queue
@@ -41,12 +109,233 @@ class RequestHandler {
     this.queue.push(request);
   }
 
+  /**
+   * Removes a request from the queue, if it is still waiting in it.
+   * @param {Object} item The queued item to remove
+   */
+  remove(item) {
+    const index = this.queue.indexOf(item);
+    if (index !== -1) this.queue.splice(index, 1);
+  }
+
+  /**
+   * Puts a request back at the front of the queue to be retried, unless it was aborted in the meantime.
+   * @param {Object} item The queued item to retry
+   */
+  requeue(item) {
+    if (!item.aborted) this.queue.unshift(item);
+  }
+
   /**
    * Attempts to get this RequestHandler to process its current queue.
    */
   handle() {} // eslint-disable-line no-empty-function
 
+  /**
+   * Marks the queued requests as having waited for a rate limit to reset.
+   */
+  markQueued() {
+    for (const item of this.queue) item.queued = true;
+  }
+
+  /**
+   * Performs a queued request, reporting it through the client events and the REST stats.
+   * @param {Object} item The queued item to perform
+   * @returns {Promise<TransportResponse>}
+   */
+  makeRequest(item) {
+    const { request } = item;
+    const info = {
+      method: request.method,
+      path: request.path,
+      route: request.route,
+      bucket: this.bucket,
+      retries: item.retries,
+      queued: Boolean(item.queued),
+    };
+    const start = Date.now();
+    /**
+     * Emitted before a request is made to the REST API, including retries.
+     * @event Client#apiRequest
+     * @param {APIRequestInfo} request Information about the request
+     */
+    this.emit(API_REQUEST, info);
+    const done = status => {
+      const latency = Date.now() - start;
+      if (this.restManager.stats) this.restManager.stats.record(request, status, latency);
+      /**
+       * Emitted after a request to the REST API completed or failed, including requests that will be retried.
+       * @event Client#apiResponse
+       * @param {APIRequestInfo} request Information about the request
+       */
+      this.emit(API_RESPONSE, Object.assign({ status, latency }, info));
+    };
+    return request.make().then(res => {
+      // Custom transports may leave the headers out, which the handlers read unguarded
+      if (!res.headers) res.headers = {};
+      done(res.status);
+      return res;
+    }, err => {
+      done(null);
+      throw err;
+    });
+  }
+
+  /**
+   * Information about a request made to the REST API.
+   * @typedef {Object} APIRequestInfo
+   * @property {string} method The HTTP method of the request
+   * @property {string} path The path of the request relative to the HTTP endpoint
+   * @property {string} route The route of the request
+   * @property {string} bucket The rate limit bucket of the request
+   * @property {number} retries How many times the request was retried before
+   * @property {boolean} queued Whether the request had to wait for a rate limit to reset
+   * @property {?number} [status] The HTTP status code of the response, or `null` if no response was received
+   * (only for {@link Client#apiResponse})
+   * @property {number} [latency] How long the request took in milliseconds (only for {@link Client#apiResponse})
+   */
+
+  /**
+   * Emits an event on the client, if anything is listening to it.
+   * @param {string} event The name of the event
+   * @param {Object} info The information to emit
+   * @private
+   */
+  emit(event, info) {
+    // A WebhookClient is not an event emitter
+    if (typeof this.client.emit === 'function' && this.client.listenerCount(event)) this.client.emit(event, info);
+  }
+
+  /**
+   * Attempts to process the queue again after a delay, unless that is already planned.
+   * @param {number} delay How long to wait (in milliseconds)
+   */
+  handleLater(delay) {
+    if (this.resetTimeout) return;
+    this.resetTimeout = this.client.setTimeout(() => {
+      this.resetTimeout = null;
+      this.handle();
+    }, delay);
+  }
+
+  /**
+   * Updates the rate limit state of this bucket from the headers of a response.
+   * @param {Object} item The queued item the response is for
+   * @param {TransportResponse} res The response
+   */
+  updateRateLimits(item, res) {
+    const headers = res.headers;
+    if (headers.date) this.timeDifference = Date.now() - new Date(headers.date).getTime();
+    const handlers = [this];
+    if (headers['x-ratelimit-bucket']) {
+      // Another route may have learnt of the bucket first, in which case its handler is the queue of the bucket
+      const bucketHandler = this.restManager.setBucketHash(item.request, headers['x-ratelimit-bucket'], this);
+      if (bucketHandler !== this) handlers.push(bucketHandler);
+    }
+    for (const handler of handlers) {
+      if (typeof headers['x-ratelimit-limit'] !== 'undefined') handler.limit = Number(headers['x-ratelimit-limit']);
+      if (typeof headers['x-ratelimit-remaining'] !== 'undefined') {
+        handler.remaining = Number(headers['x-ratelimit-remaining']);
+      }
+      if (typeof headers['x-ratelimit-reset-after'] !== 'undefined') {
+        handler.resetTime = Date.now() + (Number(headers['x-ratelimit-reset-after']) * 1000);
+      } else if (typeof headers['x-ratelimit-reset'] !== 'undefined') {
+        handler.resetTime = (Number(headers['x-ratelimit-reset']) * 1000) + this.timeDifference;
+      }
+    }
+  }
+
+  /**
+   * Gets how long to wait before retrying a request that was rate limited.
+   * @param {TransportResponse} res The 429 response
+   * @returns {number} The delay in milliseconds
+   */
+  getRetryAfter(res) {
+    const retryAfter = res.body && typeof res.body.retry_after === 'number' ?
+      res.body.retry_after :
+      Number(res.headers['retry-after']) || 0;
+    // Since v8, the API gives this in seconds rather than milliseconds
+    return this.client.options.http.version >= 8 ? retryAfter * 1000 : retryAfter;
+  }
+
+  /**
+   * Creates the error to reject a request with after an unsuccessful response.
+   * @param {Object} item The queued item the response is for
+   * @param {TransportResponse} res The response
+   * @returns {DiscordAPIError|HTTPError}
+   */
+  createError(item, res) {
+    const { request } = item;
+    if (res.status >= 400 && res.status < 500) {
+      return new DiscordAPIError(request.path, res.body || {}, request.method, res.status, request);
+    }
+    const message = res.body && res.body.message ? res.body.message : 'Server error';
+    return new HTTPError(`${res.status} ${message}`, request, res.status);
+  }
+
+  /**
+   * Creates the error to reject a request with after it failed without a response.
+   * @param {Object} item The queued item that failed
+   * @param {Error} err The error the transport failed with
+   * @returns {HTTPError}
+   */
+  createNetworkError(item, err) {
+    return new HTTPError(err.message, item.request, null, err.code || null);
+  }
+
+  /**
+   * Gets how long to wait before retrying a request that failed because of a server or network error.
+   * @param {Object} item The queued item that failed
+   * @param {HTTPError} error The error the request failed with
+   * @returns {?number} The delay in milliseconds, or `null` if the request should not be retried
+   */
+  getRetryDelay(item, error) {
+    const { retry, retryLimit, restTimeOffset } = this.client.options;
+    if (item.aborted || item.retries >= retryLimit) return null;
+    const attempt = item.retries + 1;
+    let retryable;
+    if (retry.shouldRetry) retryable = retry.shouldRetry(error, attempt);
+    else if (error.httpStatus === null) retryable = retry.errorCodes.includes(error.code);
+    else if (retry.statusCodes) retryable = retry.statusCodes.includes(error.httpStatus);
+    else retryable = error.httpStatus >= 500;
+    if (!retryable) return null;
+
+    item.retries++;
+    const delay = Math.min(retry.baseDelay * Math.pow(retry.multiplier, attempt - 1), retry.maxDelay);
+    return Math.round(delay * (1 - (retry.jitter * Math.random()))) + restTimeOffset;
+  }
+
+  /**
+   * Rejects a request that would wait longer for a rate limit than the client allows.
+   * @param {Object} item The queued item
+   * @param {number} timeout How long the request would wait (in milliseconds)
+   * @param {boolean} global Whether the rate limit is global
+   * @returns {boolean} Whether the request was rejected
+   */
+  rejectIfLimited(item, timeout, global) {
+    if (timeout <= this.client.options.restRateLimitThreshold) return false;
+    item.reject(new RateLimitError(item.request, timeout, this.limit, global));
+    return true;
+  }
+
+  /**
+   * Gets information about the rate limits of this bucket.
+   * @returns {RateLimitBucket}
+   */
+  toJSON() {
+    return {
+      bucket: this.bucket,
+      limit: this.limit,
+      remaining: this.remaining,
+      resetTime: this.resetTime,
+      resetAfter: this.resetAfter,
+      queued: this.queue.length,
+    };
+  }
+
   destroy() {
+    if (this.resetTimeout) this.client.clearTimeout(this.resetTimeout);
+    this.resetTimeout = null;
     this.queue = [];
   }
 }
@@ -1,5 +1,4 @@
 const RequestHandler = require('./RequestHandler');
-const DiscordAPIError = require('../DiscordAPIError');
 const { Events: { RATE_LIMIT } } = require('../../../util/Constants');
 
 /**
@@ -12,29 +11,10 @@ const { Events: { RATE_LIMIT } } = require('../../../util/Constants');
 class SequentialRequestHandler extends RequestHandler {
   /**
    * @param {RESTManager} restManager The REST manager to use
-   * @param {string} endpoint The endpoint to handle
+   * @param {string} bucket The bucket to handle
    */
-  constructor(restManager, endpoint) {
-    super(restManager, endpoint);
-
-    /**
-     * The client that instantiated this handler
-     * @type {Client}
-     */
-    this.client = restManager.client;
-
-    /**
-     * The endpoint that this handler is handling
-     * @type {string}
-     */
-    this.endpoint = endpoint;
-
-    /**
-     * The time difference between Discord's Dates and the local computer's Dates. A positive number means the local
-     * computer's time is ahead of Discord's
-     * @type {number}
-     */
-    this.timeDifference = 0;
+  constructor(restManager, bucket) {
+    super(restManager, bucket);
 
     /**
      * Whether the queue is being processed or not
@@ -56,40 +36,25 @@ class SequentialRequestHandler extends RequestHandler {
   execute(item) {
     this.busy = true;
     return new Promise(resolve => {
-      item.request.gen().end((err, res) => {
-        if (res && res.headers) {
-          this.requestLimit = Number(res.headers['x-ratelimit-limit']);
-          this.requestResetTime = Number(res.headers['x-ratelimit-reset']) * 1000;
-          this.requestRemaining = Number(res.headers['x-ratelimit-remaining']);
-          this.timeDifference = Date.now() - new Date(res.headers.date).getTime();
-        }
-        if (err) {
-          if (err.status === 429) {
-            this.queue.unshift(item);
-            this.client.setTimeout(() => {
-              this.globalLimit = false;
-              resolve();
-            }, Number(res.headers['retry-after']) + this.client.options.restTimeOffset);
-            if (res.headers['x-ratelimit-global']) this.globalLimit = true;
-          } else if (err.status >= 500 && err.status < 600) {
-            if (item.retries === this.client.options.retryLimit) {
-              item.reject(err);
-              resolve();
-            } else {
-              item.retries++;
-              this.queue.unshift(item);
-              this.client.setTimeout(resolve, 1e3 + this.client.options.restTimeOffset);
-            }
-          } else {
-            item.reject(err.status >= 400 && err.status < 500 ?
-              new DiscordAPIError(res.request.path, res.body, res.request.method) : err);
-            resolve(err);
-          }
+      this.makeRequest(item).then(res => {
+        this.updateRateLimits(item, res);
+        if (res.status === 429) {
+          const retryAfter = this.getRetryAfter(res) + this.client.options.restTimeOffset;
+          const global = Boolean(res.headers['x-ratelimit-global']);
+          if (global) this.restManager.setGlobalLimit(retryAfter);
+          if (!this.rejectIfLimited(item, retryAfter, global)) this.requeue(item);
+          this.markQueued();
+          this.client.setTimeout(resolve, retryAfter);
+        } else if (res.status >= 500 && res.status < 600) {
+          this.retryOrReject(item, this.createError(item, res), resolve);
+        } else if (res.status >= 400) {
+          const error = this.createError(item, res);
+          item.reject(error);
+          resolve(error);
         } else {
-          this.globalLimit = false;
-          const data = res && res.body ? res.body : {};
+          const data = res.body ? res.body : {};
           item.resolve(data);
-          if (this.requestRemaining === 0) {
+          if (this.remaining === 0) {
             if (this.client.listenerCount(RATE_LIMIT)) {
               /**
                * Emitted when the client hits a rate limit while making a request
@@ -101,27 +66,56 @@ class SequentialRequestHandler extends RequestHandler {
                * @param {string} rateLimitInfo.method HTTP method used for request that triggered this event
                */
               this.client.emit(RATE_LIMIT, {
-                limit: this.requestLimit,
+                limit: this.limit,
                 timeDifference: this.timeDifference,
                 path: item.request.path,
                 method: item.request.method,
               });
             }
+            this.markQueued();
             this.client.setTimeout(
               () => resolve(data),
-              this.requestResetTime - Date.now() + this.timeDifference + this.client.options.restTimeOffset
+              this.resetTime - Date.now() + this.client.options.restTimeOffset
             );
           } else {
             resolve(data);
           }
         }
+      }, err => {
+        this.retryOrReject(item, this.createNetworkError(item, err), resolve);
       });
     });
   }
 
+  /**
+   * Queues a failed request again to retry it after a delay, or rejects it if it should not be retried.
+   * @param {Object} item The queued item that failed
+   * @param {HTTPError} error The error the request failed with
+   * @param {Function} resolve Resolves the promise of the current execution
+   */
+  retryOrReject(item, error, resolve) {
+    const delay = this.getRetryDelay(item, error);
+    if (delay === null) {
+      item.reject(error);
+      resolve(error);
+    } else {
+      this.requeue(item);
+      this.client.setTimeout(resolve, delay);
+    }
+  }
+
   handle() {
     super.handle();
-    if (this.busy || this.remaining === 0 || this.queue.length === 0 || this.globalLimit) return;
+    if (this.busy || this.queue.length === 0) return;
+    if (this.globalLimit) {
+      this.markQueued();
+      return;
+    }
+    if (this.limited) {
+      this.markQueued();
+      this.handleLater(this.resetTime - Date.now() + this.client.options.restTimeOffset);
+      return;
+    }
     this.execute(this.queue.shift()).then(() => {
       this.busy = false;
       this.handle();
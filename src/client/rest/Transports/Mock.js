@@ -0,0 +1,171 @@
+const Transport = require('./Transport');
+
+/**
+ * A scripted response for a {@link MockTransport}. This can be:
+ * * A partial {@link TransportResponse} (the status defaults to 200, the headers and body to empty objects)
+ * * An Error, to simulate a request that failed without a response (e.g. a network error)
+ * * A function taking the {@link MockTransportCall} and returning one of the above
+ * @typedef {Object|Error|Function} MockResponse
+ */
+
+/**
+ * A request recorded by a {@link MockTransport}.
+ * @typedef {TransportRequest} MockTransportCall
+ * @property {string} path The path of the request relative to the API base, e.g. `/channels/123/messages`
+ */
+
+/**
+ * An in-memory transport that records every request and replays scripted responses instead of contacting Discord,
+ * so the REST layer can be exercised offline.
+ * @extends {Transport}
+ * @example
+ * const transport = new Discord.MockTransport();
+ * const client = new Discord.Client({ http: { transport } });
+ * transport
+ *   .route('post', '/channels/123/messages', Discord.MockTransport.rateLimited(250))
+ *   .reply({ body: { id: '456', content: 'Hello!' } });
+ */
+class MockTransport extends Transport {
+  /**
+   * Options for a mock transport.
+   * @typedef {Object} MockTransportOptions
+   * @property {number} [latency=0] How long to wait before answering each request (in milliseconds)
+   */
+
+  /**
+   * @param {MockTransportOptions} [options] Options for the transport
+   */
+  constructor({ latency = 0 } = {}) {
+    super();
+
+    /**
+     * How long to wait before answering each request (in milliseconds)
+     * @type {number}
+     */
+    this.latency = latency;
+
+    /**
+     * Every request performed through this transport, oldest first
+     * @type {MockTransportCall[]}
+     */
+    this.calls = [];
+
+    /**
+     * Scripted responses that are replayed for any request, in order
+     * @type {MockResponse[]}
+     * @private
+     */
+    this.responses = [];
+
+    /**
+     * Scripted responses that are only replayed for matching requests, in order
+     * @type {Array<{method: string, path: string|RegExp, responses: MockResponse[]}>}
+     * @private
+     */
+    this.routes = [];
+  }
+
+  /**
+   * Queues responses to replay for the next requests, whatever their route.
+   * @param {...MockResponse} responses The responses to queue
+   * @returns {MockTransport}
+   */
+  reply(...responses) {
+    this.responses.push(...responses);
+    return this;
+  }
+
+  /**
+   * Queues responses to replay for the next requests matching a method and path. These take precedence over the
+   * responses queued with {@link MockTransport#reply}.
+   * @param {string} method The HTTP method to match
+   * @param {string|RegExp} path The path to match, relative to the API base
+   * @param {...MockResponse} responses The responses to queue
+   * @returns {MockTransport}
+   */
+  route(method, path, ...responses) {
+    method = method.toLowerCase();
+    let route = this.routes.find(r => r.method === method && String(r.path) === String(path));
+    if (!route) {
+      route = { method, path, responses: [] };
+      this.routes.push(route);
+    }
+    route.responses.push(...responses);
+    return this;
+  }
+
+  /**
+   * Clears the recorded calls and every scripted response.
+   * @returns {MockTransport}
+   */
+  reset() {
+    this.calls = [];
+    this.responses = [];
+    this.routes = [];
+    return this;
+  }
+
+  request(request) {
+    const call = Object.assign({ path: request.url.replace(/^.*?\/api\/v\d+/, '') }, request);
+    this.calls.push(call);
+
+    const route = this.routes.find(r => r.method === call.method && r.responses.length > 0 &&
+      (r.path instanceof RegExp ? r.path.test(call.path) : r.path === call.path.split('?')[0]));
+    let response = route ? route.responses.shift() : this.responses.shift();
+    if (typeof response === 'undefined') {
+      response = new Error(`No scripted response for ${call.method.toUpperCase()} ${call.path}`);
+    } else if (typeof response === 'function') {
+      response = response(call);
+    }
+
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        if (response instanceof Error) reject(response);
+        else resolve(this.constructor.toResponse(response));
+      }, this.latency);
+    });
+  }
+
+  /**
+   * Fills in the missing fields of a scripted response.
+   * @param {Object} response The scripted response
+   * @returns {TransportResponse}
+   * @private
+   */
+  static toResponse({ status = 200, headers = {}, body = {} }) {
+    const lowercased = { date: new Date().toUTCString() };
+    for (const name of Object.keys(headers)) lowercased[name.toLowerCase()] = String(headers[name]);
+    return { status, headers: lowercased, body };
+  }
+
+  /**
+   * Creates a 429 response, in the format of API v8.
+   * @param {number} retryAfter How long the client should wait before retrying (in milliseconds)
+   * @param {boolean} [global=false] Whether the rate limit is global
+   * @returns {Object}
+   */
+  static rateLimited(retryAfter, global = false) {
+    const headers = {
+      'retry-after': Math.ceil(retryAfter / 1000),
+      'x-ratelimit-remaining': 0,
+      'x-ratelimit-reset-after': retryAfter / 1000,
+    };
+    if (global) headers['x-ratelimit-global'] = true;
+    return {
+      status: 429,
+      headers,
+      body: { message: 'You are being rate limited.', retry_after: retryAfter / 1000, global },
+    };
+  }
+
+  /**
+   * Creates a 5xx response.
+   * @param {number} [status=500] The status code of the response
+   * @returns {Object}
+   */
+  static serverError(status = 500) {
+    return { status, body: { message: `${status}: Server error`, code: 0 } };
+  }
+}
+
+module.exports = MockTransport;
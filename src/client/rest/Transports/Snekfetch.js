@@ -0,0 +1,49 @@
+const snekfetch = require('snekfetch');
+const Transport = require('./Transport');
+
+/**
+ * The default transport, which performs requests over the network with snekfetch.
+ * @extends {Transport}
+ * @private
+ */
+class SnekfetchTransport extends Transport {
+  /**
+   * @param {?http.Agent} [agent] The agent to make the requests with
+   */
+  constructor(agent = null) {
+    super();
+
+    /**
+     * The agent the requests are made with
+     * @type {?http.Agent}
+     */
+    this.agent = agent;
+  }
+
+  request({ method, url, headers, body, files }) {
+    const request = snekfetch[method](url, { agent: this.agent });
+    for (const name of Object.keys(headers)) request.set(name, headers[name]);
+    if (files) {
+      for (const file of files) if (file && file.file) request.attach(file.name, file.file, file.name);
+      if (typeof body !== 'undefined') request.attach('payload_json', JSON.stringify(body));
+    } else if (body) {
+      request.send(body);
+    }
+    return request.then(this.constructor.toResponse, err => {
+      // snekfetch rejects on error statuses, but those still count as responses here
+      if (err.status) return this.constructor.toResponse(err);
+      throw err;
+    });
+  }
+
+  /**
+   * Converts a snekfetch result into a transport response.
+   * @param {Object} res The snekfetch result
+   * @returns {TransportResponse}
+   */
+  static toResponse(res) {
+    return { status: res.status, headers: res.headers, body: res.body };
+  }
+}
+
+module.exports = SnekfetchTransport;
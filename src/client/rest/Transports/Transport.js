@@ -0,0 +1,37 @@
+/**
+ * A request handed to an HTTP transport by the REST manager.
+ * @typedef {Object} TransportRequest
+ * @property {string} method The HTTP method, in lowercase
+ * @property {string} url The absolute URL to request
+ * @property {Object<string, string>} headers The headers to send
+ * @property {*} [body] The JSON body to send (sent as `payload_json` when files are present)
+ * @property {Array<{name: string, file: Buffer}>} [files] The files to upload as multipart form data
+ */
+
+/**
+ * A response returned by an HTTP transport.
+ * @typedef {Object} TransportResponse
+ * @property {number} status The HTTP status code
+ * @property {Object<string, string>} headers The response headers, with lowercase names
+ * @property {*} body The parsed response body
+ */
+
+/**
+ * The base class for the transports the REST manager sends its requests through. Any object with a `request` method
+ * following the same contract can be used as a transport.
+ * @private
+ */
+class Transport {
+  /**
+   * Performs an HTTP request. The returned promise resolves with the response whatever its status code is, and only
+   * rejects when no response could be obtained (e.g. a network error).
+   * @param {TransportRequest} request The request to perform
+   * @returns {Promise<TransportResponse>}
+   * @abstract
+   */
+  request() {
+    throw new Error(`${this.constructor.name} doesn't implement request.`);
+  }
+}
+
+module.exports = Transport;
@@ -1,16 +1,100 @@
-const Constants = require("../../util/Constants");
-
+/**
+ * Generates the identity the client presents to Discord, from {@link ClientOptions#identity}.
+ */
 class UserAgentManager {
-  constructor() {
-    this.build(this.constructor.DEFAULT);
+  constructor(restManager) {
+    /**
+     * The REST manager that instantiated this manager
+     * @type {RESTManager}
+     * @private
+     */
+    this.restManager = restManager;
+
+    this.build(restManager.client.options.identity);
+  }
+
+  /**
+   * Changes the identity of the client. It takes effect on the next REST request, and on the next time the client
+   * identifies on the gateway.
+   * @param {ClientIdentity} identity The properties of the identity to change
+   * @example
+   * // Present the client as a web browser
+   * client.rest.userAgentManager.set({ browser: 'Chrome', browserVersion: '120.0.0.0' });
+   */
+  set(identity = {}) {
+    this.build(Object.assign({}, this.identity, identity));
+    this.restManager.client.options.identity = this.identity;
   }
 
-  set({ url, version } = {}) {
-    this.build();
+  /**
+   * Generates the user agent and the super properties from an identity.
+   * @param {ClientIdentity} identity The identity
+   * @private
+   */
+  build(identity) {
+    /**
+     * The identity of the client
+     * @type {ClientIdentity}
+     */
+    this.identity = identity;
+
+    /**
+     * The user agent sent with REST requests
+     * @type {string}
+     */
+    this.userAgent = identity.userAgent || this.constructor.generateUserAgent(identity);
+
+    /**
+     * The properties describing the client, sent when identifying on the gateway
+     * @type {Object}
+     */
+    this.properties = {
+      os: identity.os,
+      browser: identity.browser,
+      device: '',
+      system_locale: identity.systemLocale,
+      browser_user_agent: this.userAgent,
+      browser_version: identity.browserVersion,
+      os_version: identity.osVersion,
+      os_arch: identity.osArch,
+      referrer: '',
+      referring_domain: '',
+      referrer_current: '',
+      referring_domain_current: '',
+      release_channel: identity.releaseChannel,
+      client_version: identity.clientVersion,
+      client_build_number: identity.clientBuildNumber,
+      client_event_source: null,
+    };
+
+    /**
+     * The properties describing the client, encoded for the `X-Super-Properties` header of the REST requests of user
+     * accounts
+     * @type {string}
+     */
+    this.superProperties = Buffer.from(JSON.stringify(this.properties)).toString('base64');
   }
 
-  build() {
-    this.userAgent = `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) discord/0.0.10 Chrome/88.0.4324.192 Electron/7.1.11 Safari/537.36`;
+  /**
+   * Generates a user agent matching an identity.
+   * @param {ClientIdentity} identity The identity
+   * @returns {string}
+   * @private
+   */
+  static generateUserAgent(identity) {
+    let platform;
+    if (identity.os === 'Windows') {
+      const arch = identity.osArch === 'x64' ? '; Win64; x64' : '';
+      platform = `Windows NT ${identity.osVersion.split('.').slice(0, 2).join('.')}${arch}`;
+    } else if (identity.os === 'Mac OS X') {
+      platform = `Macintosh; Intel Mac OS X ${identity.osVersion.replace(/\./g, '_')}`;
+    } else {
+      platform = `X11; Linux ${identity.osArch === 'x64' ? 'x86_64' : identity.osArch}`;
+    }
+    const product = identity.browser === 'Discord Client' ?
+      `discord/${identity.clientVersion} Chrome/88.0.4324.192 Electron/${identity.browserVersion}` :
+      `Chrome/${identity.browserVersion}`;
+    return `Mozilla/5.0 (${platform}) AppleWebKit/537.36 (KHTML, like Gecko) ${product} Safari/537.36`;
   }
 }
 
@@ -60,6 +60,12 @@ class WebSocketConnection extends EventEmitter {
      */
     this.sequence = -1;
 
+    /**
+     * The number of attempts made to reconnect since the session was last ready or resumed
+     * @type {number}
+     */
+    this.reconnectAttempts = 0;
+
     /**
      * The current status of the client
      * @type {Status}
@@ -79,17 +85,63 @@ class WebSocketConnection extends EventEmitter {
     this.lastPingTimestamp = 0;
 
     /**
-     * Contains the rate limit queue and metadata
+     * Whether the last heartbeat of the interval has been acknowledged
+     * @type {boolean}
+     */
+    this.lastHeartbeatAck = true;
+
+    /**
+     * The number of heartbeats sent outside of the interval (e.g. because the gateway asked for one) that have yet to
+     * be acknowledged
+     * @type {number}
+     */
+    this.pendingForcedHeartbeats = 0;
+
+    /**
+     * The number of heartbeats in a row that were not acknowledged before the next one was due
+     * @type {number}
+     */
+    this.missedHeartbeatAcks = 0;
+
+    /**
+     * The interval heartbeats are sent at
+     * @type {?Timeout}
+     */
+    this.heartbeatInterval = null;
+
+    /**
+     * The timeout of the first heartbeat of the connection
+     * @type {?Timeout}
+     */
+    this.heartbeatTimeout = null;
+
+    /**
+     * Contains the rate limit queue and metadata. Part of the budget is reserved for the payloads that bypass the queue
+     * (heartbeats, identifying and resuming), so that they are never held up by queued payloads.
      * @type {Object}
      */
     this.ratelimit = {
       queue: [],
       remaining: 120,
       total: 120,
+      reserved: 3,
+      time: 60e3,
+      resetTimer: null,
+      backlogged: false,
+    };
+
+    /**
+     * Contains the queue and metadata of the stricter rate limit of status updates, which only join the main queue
+     * when it allows them
+     * @type {Object}
+     */
+    this.statusRatelimit = {
+      queue: [],
+      remaining: 5,
+      total: 5,
       time: 60e3,
       resetTimer: null,
     };
-    this.connect(gateway);
 
     /**
      * Events that are disabled (will not be processed)
@@ -97,6 +149,18 @@ class WebSocketConnection extends EventEmitter {
      */
     this.disabledEvents = {};
 
+    /**
+     * The URL of the gateway to resume the current session on
+     * @type {?string}
+     */
+    this.resumeGatewayURL = null;
+
+    /**
+     * The gateway to identify new sessions on, as sessions are resumed on the gateway given for them
+     * @type {string}
+     */
+    this.identifyGateway = gateway;
+
     /**
      * The sequence on WebSocket close
      * @type {number}
@@ -108,7 +172,26 @@ class WebSocketConnection extends EventEmitter {
      * @type {boolean}
      */
     this.expectingClose = false;
+
+    /**
+     * The inflate context the messages are decompressed with, if the connection uses zlib-stream compression
+     * @type {?zlib.Inflate}
+     */
+    this.inflate = null;
+
+    /**
+     * The frames of the message currently being received, if the connection uses zlib-stream compression
+     * @type {Buffer[]}
+     */
+    this.inflateFrames = [];
+
+    /**
+     * The decompressed data of the message currently being decompressed
+     * @type {Buffer[]}
+     */
+    this.inflateChunks = [];
     for (const event of this.client.options.disabledEvents) this.disabledEvents[event] = true;
+    this.connect(gateway);
   }
 
   /**
@@ -179,6 +262,62 @@ class WebSocketConnection extends EventEmitter {
     return JSON.parse(data);
   }
 
+  /**
+   * Sets up a new inflate context for the messages of a zlib-stream compressed connection, replacing the previous one.
+   * The whole connection is a single zlib stream, so the context has to live as long as the connection does.
+   * @returns {void}
+   */
+  createInflate() {
+    this.destroyInflate();
+    const inflate = this.inflate = zlib.createInflate({ chunkSize: 65535, flush: zlib.constants.Z_SYNC_FLUSH });
+    inflate.on('data', chunk => this.inflateChunks.push(chunk));
+    inflate.on('error', err => {
+      this.debug(err);
+      if (inflate === this.inflate) this.abandon('Failed to decompress a message');
+    });
+  }
+
+  /**
+   * Destroys the inflate context of a zlib-stream compressed connection, if any.
+   * @returns {void}
+   */
+  destroyInflate() {
+    if (this.inflate) this.inflate.close();
+    this.inflate = null;
+    this.inflateFrames = [];
+    this.inflateChunks = [];
+  }
+
+  /**
+   * Called whenever a frame is received on a zlib-stream compressed connection. Frames are buffered until one ends
+   * with the zlib flush suffix (`0x0000FFFF`), which marks the end of a message.
+   * @param {Buffer|ArrayBuffer} data The frame
+   * @returns {boolean}
+   */
+  onCompressedMessage(data) {
+    if (data instanceof ArrayBuffer) data = Buffer.from(new Uint8Array(data));
+    this.inflateFrames.push(data);
+    if (data.length < 4 || data.readUInt32BE(data.length - 4) !== 0x0000FFFF) return false;
+
+    const inflate = this.inflate;
+    inflate.write(this.inflateFrames.length === 1 ? data : Buffer.concat(this.inflateFrames));
+    this.inflateFrames = [];
+    inflate.flush(zlib.constants.Z_SYNC_FLUSH, () => {
+      // The connection may have been replaced while this message was being decompressed
+      if (inflate !== this.inflate) return;
+      const decompressed = Buffer.concat(this.inflateChunks);
+      this.inflateChunks = [];
+      let packet;
+      try {
+        packet = this.unpack(erlpack ? decompressed : decompressed.toString());
+      } catch (err) {
+        this.emit('debug', err);
+      }
+      this.onPacket(packet);
+    });
+    return true;
+  }
+
   /**
    * Packs an object ready to be sent.
    * @param {Object} data Data to pack
@@ -192,20 +331,62 @@ class WebSocketConnection extends EventEmitter {
    * Processes the current WebSocket queue.
    */
   processQueue() {
-    if (this.ratelimit.remaining === 0) return;
-    if (this.ratelimit.queue.length === 0) return;
-    if (this.ratelimit.remaining === this.ratelimit.total) {
-      this.ratelimit.resetTimer = this.client.setTimeout(() => {
-        this.ratelimit.remaining = this.ratelimit.total;
+    const { ratelimit, statusRatelimit } = this;
+    while (statusRatelimit.queue.length > 0 && statusRatelimit.remaining > 0) {
+      this.useRatelimit(statusRatelimit);
+      ratelimit.queue.push(statusRatelimit.queue.shift());
+    }
+    while (ratelimit.queue.length > 0 && ratelimit.remaining > ratelimit.reserved) {
+      this.useRatelimit(ratelimit);
+      this._send(ratelimit.queue.shift());
+    }
+    const backlog = ratelimit.queue.length + statusRatelimit.queue.length;
+    if (backlog === 0) {
+      ratelimit.backlogged = false;
+    } else if (!ratelimit.backlogged) {
+      ratelimit.backlogged = true;
+      this.debug(`${backlog} payloads are waiting for the gateway rate limit to reset`);
+      /**
+       * Emitted when payloads to send to the gateway start waiting for its rate limits to reset.
+       * It is only emitted again once every waiting payload was sent.
+       * @event Client#gatewayQueueBacklog
+       * @param {Object} info Details of the queue
+       * @param {number} info.queued Number of payloads waiting for the rate limit of the connection
+       * @param {number} info.statusUpdates Number of status updates waiting for the rate limit of status updates
+       */
+      this.client.emit(Constants.Events.GATEWAY_QUEUE_BACKLOG, {
+        queued: ratelimit.queue.length,
+        statusUpdates: statusRatelimit.queue.length,
+      });
+    }
+  }
+
+  /**
+   * Takes a payload from the budget of a rate limit, starting its window if it hasn't already.
+   * @param {Object} ratelimit The rate limit to take from
+   */
+  useRatelimit(ratelimit) {
+    if (!ratelimit.resetTimer) {
+      ratelimit.resetTimer = this.client.setTimeout(() => {
+        ratelimit.resetTimer = null;
+        ratelimit.remaining = ratelimit.total;
         this.processQueue();
-      }, this.ratelimit.time);
+      }, ratelimit.time);
     }
-    while (this.ratelimit.remaining > 0) {
-      const item = this.ratelimit.queue.shift();
-      if (!item) return;
-      this._send(item);
-      this.ratelimit.remaining--;
+    ratelimit.remaining--;
+  }
+
+  /**
+   * Resets the rate limits and drops the queued payloads, as they were meant for the previous connection.
+   */
+  resetRatelimits() {
+    for (const ratelimit of [this.ratelimit, this.statusRatelimit]) {
+      this.client.clearTimeout(ratelimit.resetTimer);
+      ratelimit.resetTimer = null;
+      ratelimit.remaining = ratelimit.total;
+      ratelimit.queue = [];
     }
+    this.ratelimit.backlogged = false;
   }
 
   /**
@@ -222,7 +403,9 @@ class WebSocketConnection extends EventEmitter {
   }
 
   /**
-   * Adds data to the queue to be sent.
+   * Adds data to the queue to be sent. Heartbeats, identifying and resuming bypass the queue and are sent at once,
+   * while status updates are also held to their own rate limit. When a status update is already waiting, it is
+   * replaced, as only the latest status matters.
    * @param {Object} data Packet to send
    * @returns {void}
    */
@@ -231,7 +414,19 @@ class WebSocketConnection extends EventEmitter {
       this.debug(`Tried to send packet ${JSON.stringify(data)} but no WebSocket is available!`);
       return;
     }
-    this.ratelimit.queue.push(data);
+    if (this.constructor.UNQUEUED_OPCODES.includes(data.op)) {
+      this.useRatelimit(this.ratelimit);
+      this._send(data);
+      return;
+    }
+    if (data.op === Constants.OPCodes.STATUS_UPDATE) {
+      const { queue } = this.statusRatelimit;
+      const index = queue.findIndex(item => item.op === Constants.OPCodes.STATUS_UPDATE);
+      if (index === -1) queue.push(data);
+      else queue[index] = data;
+    } else {
+      this.ratelimit.queue.push(data);
+    }
     this.processQueue();
   }
 
@@ -254,7 +449,11 @@ class WebSocketConnection extends EventEmitter {
     this.expectingClose = false;
     this.gateway = gateway;
     this.debug(`Connecting to ${gateway}`);
-    const ws = this.ws = new WebSocket(gateway);
+    this.resetRatelimits();
+    if (this.client.options.ws.compress === 'zlib-stream') this.createInflate();
+    else this.destroyInflate();
+    const { agent } = this.client.rest;
+    const ws = this.ws = agent ? new WebSocket(gateway, { agent }) : new WebSocket(gateway);
     if (browser) ws.binaryType = 'arraybuffer';
     ws.onmessage = this.onMessage.bind(this);
     ws.onopen = this.onOpen.bind(this);
@@ -279,8 +478,9 @@ class WebSocketConnection extends EventEmitter {
     ws.close(1000);
     this.packetManager.handleQueue();
     this.ws = null;
+    this.destroyInflate();
     this.status = Constants.Status.DISCONNECTED;
-    this.ratelimit.remaining = this.ratelimit.total;
+    this.resetRatelimits();
     return true;
   }
 
@@ -290,6 +490,7 @@ class WebSocketConnection extends EventEmitter {
    * @returns {boolean}
    */
   onMessage(event) {
+    if (this.inflate) return this.onCompressedMessage(event.data);
     let data;
     try {
       data = this.unpack(event.data);
@@ -317,7 +518,13 @@ class WebSocketConnection extends EventEmitter {
       this.debug('Received null packet');
       return false;
     }
-    this.client.emit('raw', packet);
+    /**
+     * Emitted for every packet received from the gateway, before it is handled.
+     * @event Client#raw
+     * @param {Object} packet The packet, with its opcode (`op`), data (`d`), and for dispatches, sequence (`s`) and
+     * event name (`t`)
+     */
+    this.client.emit(Constants.Events.RAW, packet);
     switch (packet.op) {
       case Constants.OPCodes.HELLO:
         return this.heartbeat(packet.d.heartbeat_interval);
@@ -348,16 +555,47 @@ class WebSocketConnection extends EventEmitter {
   }
 
   /**
-   * Causes a reconnection to the gateway.
+   * Causes a reconnection to the gateway, or disconnects if too many attempts have been made.
+   * @param {?CloseEvent} [event] The close event that caused the reconnection
    */
-  reconnect() {
-    this.debug('Attemping to reconnect in 5500ms...');
+  reconnect(event = null) {
+    const { maxAttempts } = this.client.options.reconnect;
+    if (this.reconnectAttempts >= maxAttempts) {
+      const reason = {
+        code: event ? event.code : null,
+        message: `Gave up reconnecting after ${this.reconnectAttempts} attempts`,
+        action: 'fatal',
+      };
+      this.debug(reason.message);
+      this.client.emit(Constants.Events.DISCONNECT, event, reason);
+      this.destroy();
+      return;
+    }
+    const attempt = ++this.reconnectAttempts;
+    const delay = this.getReconnectDelay(attempt);
+    this.debug(`Attemping to reconnect in ${delay}ms (attempt ${attempt})...`);
     /**
      * Emitted whenever the client tries to reconnect to the WebSocket.
      * @event Client#reconnecting
+     * @param {number} attempt The number of the attempt, counted since the session was last ready or resumed
+     * @param {number} delay Time in milliseconds until the client reconnects
      */
-    this.client.emit(Constants.Events.RECONNECTING);
-    this.connect(this.gateway, 5500, true);
+    this.client.emit(Constants.Events.RECONNECTING, attempt, delay);
+    const gateway = this.sessionID && this.resumeGatewayURL ?
+      this.client.manager.getGatewayURL(this.resumeGatewayURL) :
+      this.identifyGateway;
+    this.connect(gateway, delay, true);
+  }
+
+  /**
+   * Gets the time to wait before an attempt to reconnect.
+   * @param {number} attempt The number of the attempt (starting at 1)
+   * @returns {number}
+   */
+  getReconnectDelay(attempt) {
+    const { baseDelay, maxDelay, multiplier, jitter } = this.client.options.reconnect;
+    const delay = Math.min(baseDelay * Math.pow(multiplier, attempt - 1), maxDelay);
+    return Math.round(delay * (1 - (jitter * Math.random())));
   }
 
   /**
@@ -393,20 +631,48 @@ class WebSocketConnection extends EventEmitter {
     this.emit('close', event);
     this.heartbeat(-1);
     // Should we reconnect?
-    if (event.code === 1000 ? this.expectingClose : Constants.WSCodes[event.code]) {
-      this.expectingClose = false;
+    const reason = this.getDisconnectReason(event);
+    this.expectingClose = false;
+    if (!reason.action || reason.action === 'fatal') {
       /**
        * Emitted when the client's WebSocket disconnects and will no longer attempt to reconnect.
        * @event Client#disconnect
        * @param {CloseEvent} event The WebSocket close event
+       * @param {DisconnectReason} reason Why the client disconnected
        */
-      this.client.emit(Constants.Events.DISCONNECT, event);
-      this.debug(Constants.WSCodes[event.code]);
+      this.client.emit(Constants.Events.DISCONNECT, event, reason);
+      this.debug(reason.message);
       this.destroy();
       return;
     }
-    this.expectingClose = false;
-    this.reconnect();
+    if (reason.action === 'reidentify') {
+      this.sessionID = null;
+      this.sequence = -1;
+    }
+    this.debug(`${reason.message} -- will ${reason.action}`);
+    this.reconnect(event);
+  }
+
+  /**
+   * The reason of a closed gateway connection.
+   * @typedef {Object} DisconnectReason
+   * @property {?number} code The close code, if the connection was closed
+   * @property {string} message Description of the close code
+   * @property {?WSCloseAction} action What the client does about it, or `null` if the client closed the connection
+   * itself
+   */
+
+  /**
+   * Gets the reason a gateway connection was closed for.
+   * @param {CloseEvent} event The close event
+   * @returns {DisconnectReason}
+   */
+  getDisconnectReason(event) {
+    return {
+      code: event.code,
+      message: Constants.WSCodes[event.code] || event.reason || 'Unknown close code',
+      action: event.code === 1000 && this.expectingClose ? null : Constants.WSCloseActions[event.code] || 'resume',
+    };
   }
 
   // Heartbeat
@@ -415,26 +681,58 @@ class WebSocketConnection extends EventEmitter {
    */
   ackHeartbeat() {
     this.debug(`Heartbeat acknowledged, latency of ${Date.now() - this.lastPingTimestamp}ms`);
+    // Acknowledgements don't tell which heartbeat they are for, so they go to the heartbeats sent in between first.
+    // Otherwise, the acknowledgement of one of those could hide that the interval's heartbeat was never acknowledged.
+    if (this.pendingForcedHeartbeats > 0) {
+      this.pendingForcedHeartbeats--;
+    } else {
+      this.lastHeartbeatAck = true;
+      this.missedHeartbeatAcks = 0;
+    }
     this.client._pong(this.lastPingTimestamp);
   }
 
   /**
    * Sends a heartbeat or sets an interval for sending heartbeats.
+   * <info>As the gateway asks for, the first heartbeat of an interval is sent after a random fraction of it, so that
+   * clients that reconnect at the same time do not all heartbeat at once.</info>
    * @param {number} [time] If -1, clears the interval, any other number sets an interval
    * If no value is given, a heartbeat will be sent instantly
+   * @param {boolean} [scheduled=false] Whether the heartbeat is one of the interval. Only those count unacknowledged
+   * heartbeats, as the gateway may not acknowledge the ones sent in between
    */
-  heartbeat(time) {
+  heartbeat(time, scheduled = false) {
     if (!isNaN(time)) {
+      this.client.clearTimeout(this.heartbeatTimeout);
+      this.client.clearInterval(this.heartbeatInterval);
+      this.heartbeatTimeout = this.heartbeatInterval = null;
+      this.pendingForcedHeartbeats = 0;
       if (time === -1) {
         this.debug('Clearing heartbeat interval');
-        this.client.clearInterval(this.heartbeatInterval);
-        this.heartbeatInterval = null;
       } else {
-        this.debug(`Setting a heartbeat interval for ${time}ms`);
-        this.heartbeatInterval = this.client.setInterval(() => this.heartbeat(), time);
+        const jitter = Math.floor(time * Math.random());
+        // Reserve the heartbeats of a rate limit window, one more the gateway may ask for, and identifying or resuming
+        this.ratelimit.reserved = Math.ceil(this.ratelimit.time / time) + 2;
+        this.debug(`Setting a heartbeat interval for ${time}ms, starting in ${jitter}ms`);
+        this.lastHeartbeatAck = true;
+        this.missedHeartbeatAcks = 0;
+        this.heartbeatTimeout = this.client.setTimeout(() => {
+          this.heartbeatTimeout = null;
+          this.heartbeatInterval = this.client.setInterval(() => this.heartbeat(undefined, true), time);
+          this.heartbeat(undefined, true);
+        }, jitter);
       }
       return;
     }
+    if (scheduled) {
+      if (!this.lastHeartbeatAck && ++this.missedHeartbeatAcks >= this.client.options.heartbeat.maxMissedAcks) {
+        this.onZombie();
+        return;
+      }
+      this.lastHeartbeatAck = false;
+    } else {
+      this.pendingForcedHeartbeats++;
+    }
     this.debug('Sending a heartbeat');
     this.lastPingTimestamp = Date.now();
     this.send({
@@ -443,6 +741,52 @@ class WebSocketConnection extends EventEmitter {
     });
   }
 
+  /**
+   * Closes a connection that stopped acknowledging heartbeats, so that the session is resumed on a new one.
+   */
+  onZombie() {
+    /**
+     * Emitted when the connection stopped acknowledging heartbeats, and is closed to resume the session on a new one.
+     * @event Client#zombieConnection
+     * @param {Object} info Timing details of the connection
+     * @param {number} info.missedAcks Number of heartbeats in a row that were not acknowledged
+     * @param {number} info.lastHeartbeatTimestamp Timestamp of the last heartbeat that was sent
+     * @param {number} info.sinceLastHeartbeat Time in milliseconds since the last heartbeat was sent
+     * @param {number} info.ping Average heartbeat ping of the connection before it stopped acknowledging heartbeats
+     */
+    const info = {
+      missedAcks: this.missedHeartbeatAcks,
+      lastHeartbeatTimestamp: this.lastPingTimestamp,
+      sinceLastHeartbeat: Date.now() - this.lastPingTimestamp,
+      ping: this.client.ping,
+    };
+    this.debug(`Zombie connection: ${info.missedAcks} heartbeats were not acknowledged, the last one ` +
+      `${info.sinceLastHeartbeat}ms ago -- closing it to resume`);
+    this.client.emit(Constants.Events.ZOMBIE_CONNECTION, info);
+    this.heartbeat(-1);
+    this.abandon('Zombie connection');
+  }
+
+  /**
+   * Closes the current connection without waiting for the closing handshake, which a broken connection may never
+   * finish, and resumes the session on a new one.
+   * @param {string} reason Why the connection is abandoned
+   * @returns {void}
+   */
+  abandon(reason) {
+    const ws = this.ws;
+    if (!ws) return;
+    ws.onmessage = ws.onopen = ws.onerror = ws.onclose = null;
+    this.ws = null;
+    try {
+      ws.close(4000);
+    } catch (err) {
+      this.debug(`Failed to close the connection: ${err}`);
+    }
+    // Closing with a code other than 1000 keeps the session resumable
+    this.onClose({ code: 4000, reason });
+  }
+
   // Identification
   /**
    * Identifies the client on a connection.
@@ -463,8 +807,13 @@ class WebSocketConnection extends EventEmitter {
       this.debug('No token available to identify a new session with');
       return;
     }
-    // Clone the generic payload and assign the token
-    const d = Object.assign({ token: this.client.token }, this.client.options.ws);
+    // Clone the generic payload and assign the token and the identity of the client
+    const d = Object.assign({ token: this.client.token }, this.client.options.ws, {
+      properties: this.client.rest.userAgentManager.properties,
+      // Payloads can't be compressed on their own when the whole connection already is
+      compress: this.client.options.ws.compress === true,
+    });
+    if (this.client.options.intents) d.intents = this.client.options.intents.bitfield;
 
     // Sharding stuff
     const { shardId, shardCount } = this.client.options;
@@ -506,4 +855,14 @@ class WebSocketConnection extends EventEmitter {
 WebSocketConnection.ENCODING = erlpack ? 'etf' : 'json';
 WebSocketConnection.WebSocket = WebSocket;
 
+/**
+ * The opcodes of the payloads that bypass the send queue, as the connection can't be kept alive without them
+ * @type {number[]}
+ */
+WebSocketConnection.UNQUEUED_OPCODES = [
+  Constants.OPCodes.HEARTBEAT,
+  Constants.OPCodes.IDENTIFY,
+  Constants.OPCodes.RESUME,
+];
+
 module.exports = WebSocketConnection;
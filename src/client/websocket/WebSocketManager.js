@@ -4,7 +4,6 @@ const WebSocketConnection = require('./WebSocketConnection');
 
 /**
  * WebSocket Manager of the client.
- * @private
  */
 class WebSocketManager extends EventEmitter {
   constructor(client) {
@@ -20,6 +19,44 @@ class WebSocketManager extends EventEmitter {
      * @type {?WebSocketConnection}
      */
     this.connection = null;
+
+    /**
+     * Functions registered with {@link WebSocketManager#registerHandler}, mapped by the event they handle
+     * @type {Object<string, Function[]>}
+     * @private
+     */
+    this.handlers = {};
+  }
+
+  /**
+   * Registers a function to call with every dispatch of a gateway event, after the built-in handler of that event if
+   * there is one. This makes it possible to process events the library does not handle (yet).
+   * @param {string} eventName Name of the gateway event, e.g. `CALL_CREATE`
+   * @param {Function} handler Function taking the data of the dispatch and the whole packet
+   * @returns {WebSocketManager}
+   * @example
+   * client.ws.registerHandler('CALL_CREATE', data => console.log(`A call started in ${data.channel_id}`));
+   */
+  registerHandler(eventName, handler) {
+    if (typeof handler !== 'function') throw new TypeError('The handler must be a function.');
+    if (!this.handlers[eventName]) this.handlers[eventName] = [];
+    this.handlers[eventName].push(handler);
+    return this;
+  }
+
+  /**
+   * Unregisters a function registered with {@link WebSocketManager#registerHandler}.
+   * @param {string} eventName Name of the gateway event
+   * @param {Function} handler The function to unregister
+   * @returns {WebSocketManager}
+   */
+  unregisterHandler(eventName, handler) {
+    const handlers = this.handlers[eventName];
+    if (!handlers) return this;
+    const index = handlers.indexOf(handler);
+    if (index !== -1) handlers.splice(index, 1);
+    if (handlers.length === 0) delete this.handlers[eventName];
+    return this;
   }
 
   /**
@@ -78,6 +115,7 @@ class WebSocketManager extends EventEmitter {
     switch (this.connection.status) {
       case Constants.Status.IDLE:
       case Constants.Status.DISCONNECTED:
+        this.connection.identifyGateway = gateway;
         this.connection.connect(gateway, 5500);
         return true;
       default:
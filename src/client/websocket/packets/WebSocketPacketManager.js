@@ -3,6 +3,7 @@ const Constants = require('../../../util/Constants');
 const BeforeReadyWhitelist = [
   Constants.WSEvents.READY,
   Constants.WSEvents.RESUMED,
+  Constants.WSEvents.READY_SUPPLEMENTAL,
   Constants.WSEvents.GUILD_CREATE,
   Constants.WSEvents.GUILD_DELETE,
   Constants.WSEvents.GUILD_MEMBERS_CHUNK,
@@ -18,6 +19,7 @@ class WebSocketPacketManager {
 
     this.register(Constants.WSEvents.READY, require('./handlers/Ready'));
     this.register(Constants.WSEvents.RESUMED, require('./handlers/Resumed'));
+    this.register(Constants.WSEvents.READY_SUPPLEMENTAL, require('./handlers/ReadySupplemental'));
     this.register(Constants.WSEvents.GUILD_CREATE, require('./handlers/GuildCreate'));
     this.register(Constants.WSEvents.GUILD_DELETE, require('./handlers/GuildDelete'));
     this.register(Constants.WSEvents.GUILD_UPDATE, require('./handlers/GuildUpdate'));
@@ -31,6 +33,7 @@ class WebSocketPacketManager {
     this.register(Constants.WSEvents.GUILD_ROLE_UPDATE, require('./handlers/GuildRoleUpdate'));
     this.register(Constants.WSEvents.GUILD_EMOJIS_UPDATE, require('./handlers/GuildEmojisUpdate'));
     this.register(Constants.WSEvents.GUILD_MEMBERS_CHUNK, require('./handlers/GuildMembersChunk'));
+    this.register(Constants.WSEvents.GUILD_MEMBER_LIST_UPDATE, require('./handlers/GuildMemberListUpdate'));
     this.register(Constants.WSEvents.GUILD_INTEGRATIONS_UPDATE, require('./handlers/GuildIntegrationsUpdate'));
     this.register(Constants.WSEvents.INVITE_CREATE, require('./handlers/InviteCreate'));
     this.register(Constants.WSEvents.INVITE_DELETE, require('./handlers/InviteDelete'));
@@ -38,6 +41,12 @@ class WebSocketPacketManager {
     this.register(Constants.WSEvents.CHANNEL_DELETE, require('./handlers/ChannelDelete'));
     this.register(Constants.WSEvents.CHANNEL_UPDATE, require('./handlers/ChannelUpdate'));
     this.register(Constants.WSEvents.CHANNEL_PINS_UPDATE, require('./handlers/ChannelPinsUpdate'));
+    this.register(Constants.WSEvents.THREAD_CREATE, require('./handlers/ThreadCreate'));
+    this.register(Constants.WSEvents.THREAD_UPDATE, require('./handlers/ThreadUpdate'));
+    this.register(Constants.WSEvents.THREAD_DELETE, require('./handlers/ThreadDelete'));
+    this.register(Constants.WSEvents.THREAD_LIST_SYNC, require('./handlers/ThreadListSync'));
+    this.register(Constants.WSEvents.THREAD_MEMBER_UPDATE, require('./handlers/ThreadMemberUpdate'));
+    this.register(Constants.WSEvents.THREAD_MEMBERS_UPDATE, require('./handlers/ThreadMembersUpdate'));
     this.register(Constants.WSEvents.PRESENCE_UPDATE, require('./handlers/PresenceUpdate'));
     this.register(Constants.WSEvents.USER_UPDATE, require('./handlers/UserUpdate'));
     this.register(Constants.WSEvents.USER_NOTE_UPDATE, require('./handlers/UserNoteUpdate'));
@@ -46,6 +55,7 @@ class WebSocketPacketManager {
     this.register(Constants.WSEvents.VOICE_STATE_UPDATE, require('./handlers/VoiceStateUpdate'));
     this.register(Constants.WSEvents.TYPING_START, require('./handlers/TypingStart'));
     this.register(Constants.WSEvents.MESSAGE_CREATE, require('./handlers/MessageCreate'));
+    this.register(Constants.WSEvents.MESSAGE_ACK, require('./handlers/MessageAck'));
     this.register(Constants.WSEvents.MESSAGE_DELETE, require('./handlers/MessageDelete'));
     this.register(Constants.WSEvents.MESSAGE_UPDATE, require('./handlers/MessageUpdate'));
     this.register(Constants.WSEvents.MESSAGE_DELETE_BULK, require('./handlers/MessageDeleteBulk'));
@@ -105,8 +115,10 @@ class WebSocketPacketManager {
     }
 
     if (!queue && this.queue.length > 0) this.handleQueue();
-    if (this.handlers[packet.t]) return this.handlers[packet.t].handle(packet);
-    return false;
+    const handled = this.handlers[packet.t] ? this.handlers[packet.t].handle(packet) : false;
+    const registered = this.ws.manager.handlers[packet.t];
+    if (registered) for (const handler of registered.slice()) handler(packet.d, packet);
+    return handled;
   }
 }
 
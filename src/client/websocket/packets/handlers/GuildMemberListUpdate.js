@@ -0,0 +1,57 @@
+const AbstractHandler = require('./AbstractHandler');
+const Constants = require('../../../../util/Constants');
+const Collection = require('../../../../util/Collection');
+
+class GuildMemberListUpdateHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    const guild = client.guilds.get(data.guild_id);
+    if (!guild) return;
+
+    // Only the items that are synced, inserted or updated carry data; the others are group headers
+    const members = new Collection();
+    const addItem = item => {
+      if (!item || !item.member) return;
+      const member = guild._addMember(item.member, false);
+      if (item.member.presence) guild._setPresence(member.id, item.member.presence);
+      members.set(member.id, member);
+    };
+    for (const op of data.ops) {
+      if (op.op === 'SYNC') for (const item of op.items) addItem(item);
+      else if (op.op === 'INSERT' || op.op === 'UPDATE') addItem(op.item);
+    }
+
+    client.emit(Constants.Events.GUILD_MEMBER_LIST_UPDATE, guild, {
+      id: data.id,
+      memberCount: data.member_count,
+      onlineCount: data.online_count,
+      groups: data.groups,
+      ops: data.ops,
+      members,
+    });
+  }
+}
+
+/**
+ * Emitted whenever a member list the client is subscribed to changes.
+ * <info>Members that are deleted from the list or whose range is invalidated are not removed from the cache, as they
+ * only left the part of the list the client is subscribed to, not the guild.</info>
+ * @event Client#guildMemberListUpdate
+ * @param {Guild} guild The guild of the member list
+ * @param {GuildMemberListUpdate} update The update of the member list
+ */
+
+/**
+ * An update of a member list of a guild.
+ * @typedef {Object} GuildMemberListUpdate
+ * @property {string} id ID of the member list (lists are shared by the channels members can view the same way)
+ * @property {number} memberCount Number of members in the guild
+ * @property {number} onlineCount Number of members in the guild that are online
+ * @property {Object[]} groups Groups of the list (roles shown separately, `online` and `offline`), with their `id`
+ * and `count`
+ * @property {Object[]} ops Operations on the list (`SYNC`, `INSERT`, `UPDATE`, `DELETE` and `INVALIDATE`)
+ * @property {Collection<Snowflake, GuildMember>} members Members that were synced, inserted or updated
+ */
+
+module.exports = GuildMemberListUpdateHandler;
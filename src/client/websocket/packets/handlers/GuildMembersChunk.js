@@ -16,8 +16,14 @@ class GuildMembersChunkHandler extends AbstractHandler {
     // for (const member of data.members) members.set(member.id, guild._addMember(member, false));
 
     const members = data.members.map(member => guild._addMember(member, false));
+    if (data.presences) for (const presence of data.presences) guild._setPresence(presence.user.id, presence);
 
-    client.emit(Constants.Events.GUILD_MEMBERS_CHUNK, members, guild);
+    client.emit(Constants.Events.GUILD_MEMBERS_CHUNK, members, guild, {
+      index: data.chunk_index,
+      count: data.chunk_count,
+      nonce: data.nonce || null,
+      notFound: data.not_found || [],
+    });
 
     client.ws.lastHeartbeatAck = true;
   }
@@ -28,6 +34,16 @@ class GuildMembersChunkHandler extends AbstractHandler {
  * @event Client#guildMembersChunk
  * @param {GuildMember[]} members The members in the chunk
  * @param {Guild} guild The guild related to the member chunk
+ * @param {GuildMembersChunkInfo} chunk Where the chunk stands among the chunks of its request
+ */
+
+/**
+ * Where a chunk of guild members stands among the chunks sent for its request.
+ * @typedef {Object} GuildMembersChunkInfo
+ * @property {number} index Index of the chunk (starting at 0)
+ * @property {number} count Number of chunks sent for the request
+ * @property {?string} nonce Nonce of the request, if it had one
+ * @property {Snowflake[]} notFound IDs of the requested users that are not members of the guild
  */
 
 module.exports = GuildMembersChunkHandler;
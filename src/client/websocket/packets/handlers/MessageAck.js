@@ -0,0 +1,13 @@
+const AbstractHandler = require('./AbstractHandler');
+
+class MessageAckHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+
+    if (!data.channel_id || !data.message_id) return;
+    client.actions.MessageAck.handle(data);
+  }
+}
+
+module.exports = MessageAckHandler;
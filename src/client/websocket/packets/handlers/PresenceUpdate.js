@@ -5,6 +5,8 @@ const Util = require('../../../../util/Util');
 class PresenceUpdateHandler extends AbstractHandler {
   handle(packet) {
     const client = this.packetManager.client;
+    // Presences can't be kept up to date without the intent, so don't cache a stale one
+    if (!client._hasIntent('GUILD_PRESENCES')) return;
     const data = packet.d;
     let user = client.users.get(data.user.id);
     const guild = client.guilds.get(data.guild_id);
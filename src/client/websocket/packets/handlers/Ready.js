@@ -1,6 +1,7 @@
 const AbstractHandler = require('./AbstractHandler');
 
 const ClientUser = require('../../../../structures/ClientUser');
+const ReadState = require('../../../../structures/ReadState');
 
 class ReadyHandler extends AbstractHandler {
   handle(packet) {
@@ -17,11 +18,24 @@ class ReadyHandler extends AbstractHandler {
     client.readyAt = new Date();
     client.users.set(clientUser.id, clientUser);
 
+    // Newer gateways deduplicate user objects into a lookup table, and reference them elsewhere
+    const users = ReadyHandler.createUserLookup(data.users);
+
     for (const guild of data.guilds) if (!client.guilds.has(guild.id)) client.dataManager.newGuild(guild);
-    for (const privateDM of data.private_channels) client.dataManager.newChannel(privateDM);
+    for (const privateDM of data.private_channels) {
+      if (!privateDM.recipients && privateDM.recipient_ids) {
+        privateDM.recipients = privateDM.recipient_ids.map(id => users.get(id) || { id });
+      }
+      client.dataManager.newChannel(privateDM);
+    }
+
+    const guildIDs = data.guilds.map(guild => guild.id);
+    if (data.merged_members) ReadyHandler.addMergedMembers(client, users, guildIDs, data.merged_members);
+    if (data.merged_presences) ReadyHandler.addMergedPresences(client, users, guildIDs, data.merged_presences);
 
     for (const relation of data.relationships) {
-      const user = client.dataManager.newUser(relation.user);
+      const user = ReadyHandler.resolveUser(client, users, relation.user || relation.user_id || relation.id);
+      if (!user) continue;
       if (relation.type === 1) {
         client.user.friends.set(user.id, user);
       } else if (relation.type === 2) {
@@ -35,6 +49,16 @@ class ReadyHandler extends AbstractHandler {
       client._setPresence(presence.user.id, presence);
     }
 
+    if (data.read_state) {
+      client.readStates.clear();
+      // Newer gateways wrap the read states, which include other kinds than those of channels
+      const readStates = data.read_state.entries || data.read_state;
+      for (const readState of readStates) {
+        if (readState.read_state_type) continue;
+        client.readStates.set(readState.id, new ReadState(client, readState));
+      }
+    }
+
     if (data.notes) {
       for (const user of Object.keys(data.notes)) {
         let note = data.notes[user];
@@ -76,9 +100,80 @@ class ReadyHandler extends AbstractHandler {
     const ws = this.packetManager.ws;
 
     ws.sessionID = data.session_id;
+    ws.reconnectAttempts = 0;
+    ws.resumeGatewayURL = data.resume_gateway_url || null;
     client.emit('debug', `READY ${ws.sessionID}`);
     ws.checkIfReady();
   }
+
+  /**
+   * Creates the lookup table of the users of a READY payload, mapping them by both their position and their ID.
+   * @param {Object[]} [users=[]] The `users` of the payload
+   * @returns {Map<number|Snowflake, Object>}
+   */
+  static createUserLookup(users = []) {
+    const lookup = new Map();
+    users.forEach((user, index) => {
+      lookup.set(index, user);
+      lookup.set(user.id, user);
+    });
+    return lookup;
+  }
+
+  /**
+   * Resolves a user referenced in a READY payload, which can be the user object itself, or its ID or position in the
+   * lookup table of the payload.
+   * @param {Client} client The client
+   * @param {Map<number|Snowflake, Object>} users The lookup table of the payload
+   * @param {Object|Snowflake|number} ref The reference to the user
+   * @returns {?User}
+   */
+  static resolveUser(client, users, ref) {
+    if (ref && typeof ref === 'object') return client.dataManager.newUser(ref);
+    if (users.has(ref)) return client.dataManager.newUser(users.get(ref));
+    return client.users.get(ref) || null;
+  }
+
+  /**
+   * Adds the members of `merged_members`, which holds the members of each guild in the same order as the guilds.
+   * @param {Client} client The client
+   * @param {Map<number|Snowflake, Object>} users The lookup table of the payload
+   * @param {Snowflake[]} guildIDs The IDs of the guilds, in the order of the payload
+   * @param {Array<Object[]>} mergedMembers The members of each guild
+   */
+  static addMergedMembers(client, users, guildIDs, mergedMembers) {
+    mergedMembers.forEach((members, index) => {
+      const guild = client.guilds.get(guildIDs[index]);
+      if (!guild || !members) return;
+      for (const member of members) {
+        const user = ReadyHandler.resolveUser(client, users, member.user || member.user_id);
+        if (user) guild._addMember(Object.assign({}, member, { user }), false);
+      }
+    });
+  }
+
+  /**
+   * Adds the presences of `merged_presences`, which holds the presences of each guild in the same order as the guilds,
+   * and the presences of the friends of the client.
+   * @param {Client} client The client
+   * @param {Map<number|Snowflake, Object>} users The lookup table of the payload
+   * @param {Snowflake[]} guildIDs The IDs of the guilds, in the order of the payload
+   * @param {Object} mergedPresences The `guilds` and `friends` presences
+   */
+  static addMergedPresences(client, users, guildIDs, mergedPresences) {
+    (mergedPresences.guilds || []).forEach((presences, index) => {
+      const guild = client.guilds.get(guildIDs[index]);
+      if (!guild || !presences) return;
+      for (const presence of presences) {
+        const user = ReadyHandler.resolveUser(client, users, presence.user || presence.user_id);
+        if (user) guild._setPresence(user.id, presence);
+      }
+    });
+    for (const presence of mergedPresences.friends || []) {
+      const user = ReadyHandler.resolveUser(client, users, presence.user || presence.user_id);
+      if (user) client._setPresence(user.id, presence);
+    }
+  }
 }
 
 module.exports = ReadyHandler;
@@ -0,0 +1,19 @@
+const AbstractHandler = require('./AbstractHandler');
+const ReadyHandler = require('./Ready');
+
+class ReadySupplementalHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+
+    // The data of each guild is in the same order as the guilds of READY
+    const users = ReadyHandler.createUserLookup(data.users);
+    const guildIDs = data.guilds ? data.guilds.map(guild => guild.id) : client.guilds.keyArray();
+    if (data.merged_members) ReadyHandler.addMergedMembers(client, users, guildIDs, data.merged_members);
+    if (data.merged_presences) ReadyHandler.addMergedPresences(client, users, guildIDs, data.merged_presences);
+
+    client.emit('debug', `READY_SUPPLEMENTAL for ${guildIDs.length} guilds`);
+  }
+}
+
+module.exports = ReadySupplementalHandler;
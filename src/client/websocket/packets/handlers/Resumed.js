@@ -6,11 +6,37 @@ class ResumedHandler extends AbstractHandler {
     const client = this.packetManager.client;
     const ws = client.ws.connection;
 
+    const replayed = ws.sequence - ws.closeSequence;
+    ws.reconnectAttempts = 0;
+
+    if (!client.user) {
+      // The session was saved by another process, which received the READY payload this one has to fetch instead.
+      // The replayed events stay queued until the guilds and channels they refer to are cached.
+      ws.debug(`RESUMED a saved session | replayed ${replayed} events.`);
+      client.emit(Constants.Events.RESUME, replayed);
+      ws.heartbeat();
+      client.rest.methods.getClientUser()
+        .then(() => client.rest.methods.getClientState())
+        .then(() => {
+          client.readyAt = new Date();
+          ws.checkIfReady();
+        }, err => {
+          // The session is of no use without its state, so a new one is identified instead
+          ws.debug(`Failed to fetch the state of the saved session, identifying a new one: ${err}`);
+          ws.sessionID = null;
+          ws.sequence = -1;
+          ws.resumeGatewayURL = null;
+          this.packetManager.queue = [];
+          client.guilds.clear();
+          client.channels.clear();
+          ws.abandon('Failed to fetch the state of the saved session');
+        });
+      return;
+    }
+
     ws.status = Constants.Status.READY;
     this.packetManager.handleQueue();
 
-    const replayed = ws.sequence - ws.closeSequence;
-
     ws.debug(`RESUMED | replayed ${replayed} events.`);
     client.emit(Constants.Events.RESUME, replayed);
     ws.heartbeat();
@@ -0,0 +1,11 @@
+const AbstractHandler = require('./AbstractHandler');
+
+class ThreadCreateHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    client.actions.ThreadCreate.handle(data);
+  }
+}
+
+module.exports = ThreadCreateHandler;
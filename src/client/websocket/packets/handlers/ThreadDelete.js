@@ -0,0 +1,21 @@
+const AbstractHandler = require('./AbstractHandler');
+
+const Constants = require('../../../../util/Constants');
+
+class ThreadDeleteHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    const response = client.actions.ChannelDelete.handle(data);
+    if (response.channel) client.emit(Constants.Events.THREAD_DELETE, response.channel);
+  }
+}
+
+/**
+ * Emitted whenever a thread is deleted, including along with the channel it is in, or the client user is removed from
+ * a private thread.
+ * @event Client#threadDelete
+ * @param {ThreadChannel} thread The thread that was deleted
+ */
+
+module.exports = ThreadDeleteHandler;
@@ -0,0 +1,32 @@
+const AbstractHandler = require('./AbstractHandler');
+
+const Constants = require('../../../../util/Constants');
+
+class ThreadListSyncHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    const guild = client.guilds.get(data.guild_id);
+    if (!guild) return;
+
+    // The sync replaces the active threads of the given channels, or of the whole guild
+    const ids = new Set(data.threads.map(thread => thread.id));
+    for (const thread of guild.threads.values()) {
+      if (ids.has(thread.id) || thread.archived) continue;
+      if (data.channel_ids && !data.channel_ids.includes(thread.parentID)) continue;
+      client.dataManager.killChannel(thread);
+    }
+
+    const { threads } = client.actions.ThreadListSync.handle(data);
+    client.emit(Constants.Events.THREAD_LIST_SYNC, threads, guild);
+  }
+}
+
+/**
+ * Emitted whenever the client user gains access to channels, with the active threads in them.
+ * @event Client#threadListSync
+ * @param {Collection<Snowflake, ThreadChannel>} threads The threads that were synced
+ * @param {Guild} guild The guild the threads are in
+ */
+
+module.exports = ThreadListSyncHandler;
@@ -0,0 +1,28 @@
+const AbstractHandler = require('./AbstractHandler');
+
+const Constants = require('../../../../util/Constants');
+const ThreadChannel = require('../../../../structures/ThreadChannel');
+const Util = require('../../../../util/Util');
+
+class ThreadMemberUpdateHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    const thread = client.channels.get(data.id);
+    if (!(thread instanceof ThreadChannel)) return;
+
+    const existing = thread.members.get(data.user_id || client.user.id);
+    const oldMember = existing ? Util.cloneObject(existing) : null;
+    const member = thread._addMember(data);
+    client.emit(Constants.Events.THREAD_MEMBER_UPDATE, oldMember, member);
+  }
+}
+
+/**
+ * Emitted whenever the thread member of the client user is updated, such as when it joins a thread.
+ * @event Client#threadMemberUpdate
+ * @param {?ThreadMember} oldMember The member before the update
+ * @param {ThreadMember} newMember The member after the update
+ */
+
+module.exports = ThreadMemberUpdateHandler;
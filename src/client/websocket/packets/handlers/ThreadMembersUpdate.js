@@ -0,0 +1,39 @@
+const AbstractHandler = require('./AbstractHandler');
+
+const Constants = require('../../../../util/Constants');
+const ThreadChannel = require('../../../../structures/ThreadChannel');
+
+class ThreadMembersUpdateHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    const thread = client.channels.get(data.id);
+    if (!(thread instanceof ThreadChannel)) return;
+
+    const oldMembers = thread.members.clone();
+    thread.memberCount = data.member_count;
+    if (data.added_members) {
+      for (const member of data.added_members) {
+        thread._addMember(member);
+        if (member.presence && member.presence.user) {
+          thread.guild._setPresence(member.presence.user.id, member.presence);
+        }
+      }
+    }
+    if (data.removed_member_ids) {
+      for (const id of data.removed_member_ids) thread.members.delete(id);
+    }
+
+    client.emit(Constants.Events.THREAD_MEMBERS_UPDATE, oldMembers, thread.members, thread);
+  }
+}
+
+/**
+ * Emitted whenever members are added to or removed from a thread.
+ * @event Client#threadMembersUpdate
+ * @param {Collection<Snowflake, ThreadMember>} oldMembers The members before the update
+ * @param {Collection<Snowflake, ThreadMember>} newMembers The members after the update
+ * @param {ThreadChannel} thread The thread the members are in
+ */
+
+module.exports = ThreadMembersUpdateHandler;
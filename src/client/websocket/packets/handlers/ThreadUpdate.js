@@ -0,0 +1,11 @@
+const AbstractHandler = require('./AbstractHandler');
+
+class ThreadUpdateHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    client.actions.ThreadUpdate.handle(data);
+  }
+}
+
+module.exports = ThreadUpdateHandler;
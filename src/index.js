@@ -9,13 +9,18 @@ module.exports = {
   WebhookClient: require('./client/WebhookClient'),
 
   // Utilities
+  AbortError: require('./client/rest/AbortError'),
   BitField: require('./util/BitField'),
   Collection: require('./util/Collection'),
   Constants: require('./util/Constants'),
   DiscordAPIError: require('./client/rest/DiscordAPIError'),
   EvaluatedPermissions: require('./util/Permissions'),
+  HTTPError: require('./client/rest/HTTPError'),
+  Intents: require('./util/Intents'),
   MessageFlags: require('./util/MessageFlags'),
+  MockTransport: require('./client/rest/Transports/Mock'),
   Permissions: require('./util/Permissions'),
+  RateLimitError: require('./client/rest/RateLimitError'),
   Snowflake: require('./util/Snowflake'),
   SnowflakeUtil: require('./util/Snowflake'),
   SystemChannelFlags: require('./util/SystemChannelFlags'),
@@ -61,10 +66,13 @@ module.exports = {
   Presence: require('./structures/Presence').Presence,
   ReactionEmoji: require('./structures/ReactionEmoji'),
   ReactionCollector: require('./structures/ReactionCollector'),
+  ReadState: require('./structures/ReadState'),
   RichEmbed: require('./structures/RichEmbed'),
   Role: require('./structures/Role'),
   StoreChannel: require('./structures/StoreChannel'),
   TextChannel: require('./structures/TextChannel'),
+  ThreadChannel: require('./structures/ThreadChannel'),
+  ThreadMember: require('./structures/ThreadMember'),
   User: require('./structures/User'),
   VoiceChannel: require('./structures/VoiceChannel'),
   Webhook: require('./structures/Webhook'),
@@ -22,6 +22,7 @@ class Channel {
      * * `category` - a guild category channel
      * * `news` - a guild news channel
      * * `store` - a guild store channel
+     * * `news_thread`, `public_thread` or `private_thread` - a thread
      * @type {string}
      */
     this.type = null;
@@ -39,6 +39,12 @@ class Guild {
      */
     this.channels = new Collection();
 
+    /**
+     * A collection of the threads in this guild that the client knows of, mapped by their IDs
+     * @type {Collection<Snowflake, ThreadChannel>}
+     */
+    this.threads = new Collection();
+
     /**
      * A collection of roles that are in this guild. The key is the role's ID, the value is the role
      * @type {Collection<Snowflake, Role>}
@@ -307,6 +313,20 @@ class Guild {
       for (const channel of data.channels) this.client.dataManager.newChannel(channel, this);
     }
 
+    if (data.threads) {
+      this.threads.clear();
+      for (const thread of data.threads) {
+        // Threads that are already cached are kept, so that references to them stay up to date
+        const existing = this.client.channels.get(thread.id);
+        if (existing) {
+          existing.setup(thread);
+          this.threads.set(existing.id, existing);
+        } else {
+          this.client.dataManager.newChannel(thread, this);
+        }
+      }
+    }
+
     if (data.roles) {
       this.roles.clear();
       for (const role of data.roles) {
@@ -751,6 +771,14 @@ class Guild {
   }
 
 
+  /**
+   * Fetches the active threads of this guild.
+   * @returns {Promise<FetchedThreads>}
+   */
+  fetchActiveThreads() {
+    return this.client.rest.methods.getActiveThreads(this);
+  }
+
   /**
    * Fetch all webhooks for the guild.
    * @returns {Promise<Collection<Snowflake, Webhook>>}
@@ -855,45 +883,181 @@ class Guild {
   }
 
   /**
-   * Fetches all the members in the guild, even if they are offline. If the guild has less than 250 members,
-   * this should not be necessary.
-   * @param {string} [query=''] Limit fetch to members with similar usernames
-   * @param {number} [limit=0] Maximum number of members to request
-   * @returns {Promise<Guild>}
+   * Options for fetching the members of a guild over the gateway.
+   * @typedef {Object} FetchMembersOptions
+   * @property {string} [query=''] Limit fetch to members with usernames starting with this
+   * @property {number} [limit=0] Maximum number of members to request (0 for every member)
+   * @property {UserResolvable|UserResolvable[]} [user] User(s) to fetch the members of, instead of querying them
+   * (up to 100)
+   * @property {boolean} [presences=false] Whether to also fetch the presences of the members
+   * @property {number} [time=120000] Time in milliseconds to wait for the members to arrive
+   * @property {string} [method='gateway'] How to fetch the members: `gateway` requests them, while `lazy` walks the
+   * member list of a channel as the official client does, which works for user accounts in large guilds (only
+   * `channel` and `time` apply then)
+   * @property {ChannelResolvable} [channel] Channel to walk the member list of, with the `lazy` method (defaults to the
+   * first text channel the client can view)
+   */
+
+  /**
+   * Fetches members of the guild over the gateway, even if they are offline. If the guild has less than 250 members,
+   * fetching all of them should not be necessary.
+   * <info>When given options, this resolves with exactly the members that were asked for; fetches running at the same
+   * time do not affect each other.</info>
+   * @param {FetchMembersOptions|string} [options={}] Options for the fetch, or a query **(deprecated)**
+   * @param {number} [limit=0] Maximum number of members to request, when a query is given **(deprecated)**
+   * @returns {Promise<Collection<Snowflake, GuildMember>|Guild>} The fetched members, or this guild when called with
+   * no arguments or a query
    * @example
-   * // Fetch guild members
+   * // Fetch all guild members
    * guild.fetchMembers()
    *   .then(console.log)
    *   .catch(console.error);
    * @example
-   * // Fetches a maximum of 1 member with the given query
-   * guild.fetchMembers('hydrabolt', 1)
-   *   .then(console.log)
+   * // Fetch a maximum of 1 member with the given query
+   * guild.fetchMembers({ query: 'hydrabolt', limit: 1 })
+   *   .then(members => console.log(members.first()))
+   *   .catch(console.error);
+   * @example
+   * // Fetch some members by ID, along with their presences
+   * guild.fetchMembers({ user: ['123456789012345678', '876543210987654321'], presences: true })
+   *   .then(members => console.log(`Fetched ${members.size} members`))
    *   .catch(console.error);
    */
-  fetchMembers(query = '', limit = 0) {
+  fetchMembers(options, limit = 0) {
+    if (options && options.method === 'lazy') return this._fetchMembersLazy(options);
+    // Without options, this keeps resolving with the guild
+    const legacy = typeof options !== 'object' || options === null;
+    if (legacy) options = { query: options || '', limit };
+    const { query = '', presences = false, time = 120e3 } = options;
+    let userIDs = null;
+    if (typeof options.user !== 'undefined') {
+      const users = Array.isArray(options.user) ? options.user : [options.user];
+      userIDs = users.map(user => this.client.resolver.resolveUserID(user));
+      if (userIDs.some(id => !id)) return Promise.reject(new Error('Invalid id provided.'));
+      if (userIDs.length > 100) return Promise.reject(new RangeError('Only up to 100 members can be fetched by ID.'));
+    }
+    const fetchAll = !userIDs && !query && !options.limit;
+    if (fetchAll && this.memberCount === this.members.size) {
+      return Promise.resolve(legacy ? this : this.members.clone());
+    }
     return new Promise((resolve, reject) => {
-      if (this.memberCount === this.members.size) {
-        resolve(this);
-        return;
+      const nonce = Snowflake.generate();
+      const fetched = new Collection();
+      let received = 0;
+      const handler = (members, guild, chunk) => {
+        if (guild.id !== this.id || chunk.nonce !== nonce) return;
+        for (const member of members) fetched.set(member.id, member);
+        received++;
+        // Older gateway versions don't tell how many chunks there are
+        const done = typeof chunk.count === 'number' ?
+          received >= chunk.count :
+          members.length < 1000 || (fetchAll && this.memberCount === this.members.size);
+        if (!done) return;
+        this.client.clearTimeout(timeout);
+        this.client.removeListener(Constants.Events.GUILD_MEMBERS_CHUNK, handler);
+        resolve(legacy ? this : fetched);
+      };
+      const timeout = this.client.setTimeout(() => {
+        this.client.removeListener(Constants.Events.GUILD_MEMBERS_CHUNK, handler);
+        reject(new Error('Members didn\'t arrive in time.'));
+      }, time);
+      this.client.on(Constants.Events.GUILD_MEMBERS_CHUNK, handler);
+      const d = { guild_id: this.id, presences, nonce };
+      if (userIDs) {
+        d.user_ids = userIDs;
+      } else {
+        d.query = query;
+        d.limit = options.limit || 0;
       }
-      this.client.ws.send({
-        op: Constants.OPCodes.REQUEST_GUILD_MEMBERS,
-        d: {
-          guild_id: this.id,
-          query,
-          limit,
-        },
+      this.client.ws.send({ op: Constants.OPCodes.REQUEST_GUILD_MEMBERS, d });
+    });
+  }
+
+  /**
+   * Subscribes to ranges of the member list of a channel, so that the members in them are synced and kept up to date
+   * through {@link Client#guildMemberListUpdate} events. The official client subscribes to the ranges that are in
+   * view, up to three at once; subscribing again replaces the previous ranges.
+   * <warn>This is only available when using a user account.</warn>
+   * @param {ChannelResolvable} channel The channel to subscribe to the member list of
+   * @param {Array<number[]>} [ranges=[[0, 99]]] Ranges of the list to subscribe to, as pairs of start and end indexes
+   * (both inclusive)
+   * @example
+   * // Subscribe to the first 300 entries of a channel's member list
+   * guild.subscribeMemberList(channel, [[0, 99], [100, 199], [200, 299]]);
+   */
+  subscribeMemberList(channel, ranges = [[0, 99]]) {
+    const channelID = this.client.resolver.resolveChannelID(channel);
+    this.client.ws.send({
+      op: Constants.OPCodes.LAZY_REQUEST,
+      d: {
+        guild_id: this.id,
+        typing: true,
+        activities: true,
+        threads: true,
+        channels: { [channelID]: ranges },
+      },
+    });
+  }
+
+  /**
+   * Fetches members by walking the member list of a channel, one request of ranges at a time, until all of it was
+   * synced.
+   * @param {FetchMembersOptions} options Options for the fetch
+   * @returns {Promise<Collection<Snowflake, GuildMember>>}
+   * @private
+   */
+  _fetchMembersLazy(options) {
+    const channel = options.channel ?
+      this.client.resolver.resolveChannel(options.channel) :
+      this.channels.find(c => {
+        if (c.type !== 'text') return false;
+        const permissions = c.permissionsFor(this.client.user);
+        return Boolean(permissions && permissions.has('VIEW_CHANNEL'));
       });
-      const handler = (members, guild) => {
+    if (!channel || !channel.guild || channel.guild.id !== this.id) {
+      return Promise.reject(new Error('No channel of the guild to walk the member list of.'));
+    }
+    const { time = 120e3 } = options;
+    return new Promise((resolve, reject) => {
+      const fetched = new Collection();
+      let listID = null;
+      let lastRange;
+      let next = 0;
+      const subscribe = () => {
+        // Keep the first range, as the official client does, and move on with the next two
+        const ranges = [[0, 99]];
+        for (let start = Math.max(next, 100); ranges.length < 3; start += 100) ranges.push([start, start + 99]);
+        lastRange = ranges[ranges.length - 1];
+        next = lastRange[1] + 1;
+        this.subscribeMemberList(channel, ranges);
+      };
+      const handler = (guild, update) => {
         if (guild.id !== this.id) return;
-        if (this.memberCount === this.members.size || members.length < 1000) {
-          this.client.removeListener(Constants.Events.GUILD_MEMBERS_CHUNK, handler);
-          resolve(this);
+        const synced = update.ops.some(op => op.op === 'SYNC' && op.range[0] === lastRange[0]);
+        if (listID === null) {
+          if (!synced) return;
+          listID = update.id;
+        } else if (update.id !== listID) {
+          return;
         }
+        for (const member of update.members.values()) fetched.set(member.id, member);
+        if (!synced) return;
+        // Each group takes an entry for its header, besides its members
+        const size = update.groups.reduce((total, group) => total + group.count + 1, 0);
+        if (next < size) {
+          subscribe();
+          return;
+        }
+        this.client.clearTimeout(timeout);
+        this.client.removeListener(Constants.Events.GUILD_MEMBER_LIST_UPDATE, handler);
+        resolve(fetched);
       };
-      this.client.on(Constants.Events.GUILD_MEMBERS_CHUNK, handler);
-      this.client.setTimeout(() => reject(new Error('Members didn\'t arrive in time.')), 120 * 1000);
+      const timeout = this.client.setTimeout(() => {
+        this.client.removeListener(Constants.Events.GUILD_MEMBER_LIST_UPDATE, handler);
+        reject(new Error('Members didn\'t arrive in time.'));
+      }, time);
+      this.client.on(Constants.Events.GUILD_MEMBER_LIST_UPDATE, handler);
+      subscribe();
     });
   }
 
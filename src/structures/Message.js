@@ -152,11 +152,11 @@ class Message {
     this.flags = new MessageFlags(data.flags).freeze();
 
     /**
-     * Reference data sent in a crossposted message.
+     * Reference data sent in a reply or a crossposted message.
      * @typedef {Object} MessageReference
-     * @property {string} channelID ID of the channel the message was crossposted from
-     * @property {?string} guildID ID of the guild the message was crossposted from
-     * @property {?string} messageID ID of the message that was crossposted
+     * @property {string} channelID ID of the channel the message replies to or was crossposted from
+     * @property {?string} guildID ID of the guild the message replies to or was crossposted from
+     * @property {?string} messageID ID of the message that is replied to or was crossposted
      */
 
     /**
@@ -169,6 +169,17 @@ class Message {
       messageID: data.message_reference.message_id,
     } : null;
 
+    /**
+     * The message this message replies to, as it was sent along with it
+     * @type {?Message}
+     * @private
+     */
+    this._referencedMessage = null;
+    if (data.referenced_message) {
+      const channel = this.client.channels.get(data.referenced_message.channel_id) || this.channel;
+      this._referencedMessage = new Message(channel, data.referenced_message, this.client);
+    }
+
     /**
      * The previous versions of the message, sorted with the most recent first
      * @type {Message[]}
@@ -412,9 +423,15 @@ class Message {
   /**
    * Options that can be passed into editMessage.
    * @typedef {Object} MessageEditOptions
-   * @property {Object} [embed] An embed to be added/edited
+   * @property {?Object} [embed] An embed to be added/edited (`null` removes the embeds)
+   * @property {Array<RichEmbed|Object>} [embeds] Embeds to replace the message's embeds with (max 10)
    * @property {string|boolean} [code] Language for optional codeblock formatting to apply
    * @property {MessageFlagsResolvable} [flags] Message flags to apply
+   * @property {?MessageMentionOptions} [allowedMentions=this.client.options.allowedMentions] Which mentions in the
+   * new content should notify their targets
+   * @property {number} [timeout=this.client.options.restRequestTimeout] Time in milliseconds after which the edit is
+   * aborted if it has not completed
+   * @property {AbortSignal} [signal] A signal that aborts the edit when it fires
    */
 
   /**
@@ -520,7 +537,41 @@ class Message {
   }
 
   /**
-   * Reply to the message.
+   * The message this message replies to, if it was sent along with it or is cached
+   * <info>Use {@link Message#fetchReference} to fetch it otherwise.</info>
+   * @type {?Message}
+   * @readonly
+   */
+  get referencedMessage() {
+    if (!this.reference || !this.reference.messageID) return null;
+    const channel = this.client.channels.get(this.reference.channelID);
+    const cached = channel && channel.messages && channel.messages.get(this.reference.messageID);
+    return cached || this._referencedMessage;
+  }
+
+  /**
+   * Fetches the message this message replies to or was crossposted from.
+   * @returns {Promise<Message>}
+   * @example
+   * // Log the message that was replied to
+   * message.fetchReference()
+   *   .then(referenced => console.log(`${message.author.tag} replied to ${referenced.content}`))
+   *   .catch(console.error);
+   */
+  fetchReference() {
+    if (!this.reference || !this.reference.messageID) {
+      return Promise.reject(new Error('The message does not reference another message.'));
+    }
+    if (this.referencedMessage) return Promise.resolve(this.referencedMessage);
+    const channel = this.client.channels.get(this.reference.channelID);
+    if (!channel || !channel.fetchMessage) {
+      return Promise.reject(new Error('The channel of the referenced message is not cached.'));
+    }
+    return channel.fetchMessage(this.reference.messageID);
+  }
+
+  /**
+   * Replies inline to the message.
    * @param {StringResolvable} [content] The content for the message
    * @param {MessageOptions} [options] The options to provide
    * @returns {Promise<Message|Message[]>}
@@ -529,6 +580,11 @@ class Message {
    * message.reply('Hey, I\'m a reply!')
    *   .then(sent => console.log(`Sent a reply to ${sent.author.username}`))
    *   .catch(console.error);
+   * @example
+   * // Reply to a message without mentioning its author
+   * message.reply('Hey, I\'m a quiet reply!', { mentionRepliedUser: false })
+   *   .then(sent => console.log(`Sent a reply to ${sent.referencedMessage.author.username}`))
+   *   .catch(console.error);
    */
   reply(content, options) {
     if (!options && typeof content === 'object' && !(content instanceof Array)) {
@@ -537,7 +593,7 @@ class Message {
     } else if (!options) {
       options = {};
     }
-    return this.channel.send(content, Object.assign(options, { reply: this.member || this.author }));
+    return this.channel.send(content, Object.assign(options, { replyTo: this }));
   }
 
   /**
@@ -550,6 +606,22 @@ class Message {
     return this.client.rest.methods.ackMessage(this);
   }
 
+  /**
+   * Creates a thread that starts from this message.
+   * @param {string} name The name of the thread
+   * @param {ThreadCreateOptions} [options] Options for the thread
+   * @returns {Promise<ThreadChannel>}
+   * @example
+   * // Start a thread to discuss a message
+   * message.startThread('discussion')
+   *   .then(thread => thread.send('Discuss here!'))
+   *   .catch(console.error);
+   */
+  startThread(name, options = {}) {
+    if (!this.guild) return Promise.reject(new Error('Threads can only be started from messages in guilds.'));
+    return this.client.rest.methods.createThread(this.channel, name, Object.assign({}, options, { message: this }));
+  }
+
   /**
    * Fetches the webhook used to create this message.
    * @returns {Promise<?Webhook>}
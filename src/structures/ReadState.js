@@ -0,0 +1,90 @@
+const Long = require('long');
+
+/**
+ * Represents how far the client user has read a channel.
+ * <warn>This is only available when using a user account.</warn>
+ */
+class ReadState {
+  constructor(client, data) {
+    /**
+     * The client that instantiated this read state
+     * @name ReadState#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: client });
+
+    /**
+     * The ID of the channel this read state is for
+     * @type {Snowflake}
+     */
+    this.channelID = data.id || data.channel_id;
+
+    /**
+     * The ID of the last message the client user has read in the channel
+     * @type {?Snowflake}
+     */
+    this.lastReadMessageID = null;
+
+    /**
+     * The number of messages mentioning the client user since the last read message
+     * @type {number}
+     */
+    this.mentionCount = 0;
+
+    /**
+     * The timestamp when the client user last saw a message being pinned in the channel
+     * @type {?number}
+     */
+    this.lastPinTimestamp = null;
+
+    this.patch(data);
+  }
+
+  /**
+   * Patch the data contained in this class with new partial data.
+   * @param {Object} data Data to patch this with
+   * @returns {void}
+   * @private
+   */
+  patch(data) {
+    if ('last_message_id' in data) this.lastReadMessageID = data.last_message_id;
+    if ('message_id' in data) this.lastReadMessageID = data.message_id;
+    if ('mention_count' in data) this.mentionCount = data.mention_count || 0;
+    if ('last_pin_timestamp' in data) {
+      this.lastPinTimestamp = data.last_pin_timestamp ? new Date(data.last_pin_timestamp).getTime() : null;
+    }
+  }
+
+  /**
+   * The channel this read state is for
+   * @type {?Channel}
+   * @readonly
+   */
+  get channel() {
+    return this.client.channels.get(this.channelID) || null;
+  }
+
+  /**
+   * Whether the channel has messages the client user hasn't read yet
+   * @type {boolean}
+   * @readonly
+   */
+  get unread() {
+    if (this.mentionCount > 0) return true;
+    const channel = this.channel;
+    if (!channel || !channel.lastMessageID) return false;
+    if (!this.lastReadMessageID) return true;
+    return Long.fromString(channel.lastMessageID).greaterThan(Long.fromString(this.lastReadMessageID));
+  }
+
+  /**
+   * Marks the channel as read up to its last message. This fails if the channel isn't cached or has no messages.
+   * @returns {Promise<ReadState>}
+   */
+  ack() {
+    return this.client.ackChannels([this.channelID]).then(() => this);
+  }
+}
+
+module.exports = ReadState;
@@ -310,6 +310,35 @@ class RichEmbed {
     };
   }
 
+  /**
+   * Creates a rich embed from a received embed, so that it can be sent again.
+   * Videos and providers are left out, as they can't be sent.
+   * @param {MessageEmbed|RichEmbed} embed The embed to copy
+   * @returns {RichEmbed}
+   * @example
+   * // Relay the embeds of a message to another channel
+   * channel.send({ embeds: message.embeds.map(embed => RichEmbed.from(embed)) })
+   *   .then(console.log)
+   *   .catch(console.error);
+   */
+  static from(embed) {
+    const iconURL = data => data instanceof MessageEmbed.Author || data instanceof MessageEmbed.Footer ?
+      data.iconURL :
+      data.icon_url;
+    return new this({
+      title: embed.title,
+      description: embed.description,
+      url: embed.url,
+      color: embed.color,
+      author: embed.author ? { name: embed.author.name, url: embed.author.url, icon_url: iconURL(embed.author) } : null,
+      timestamp: embed.timestamp ? new Date(embed.timestamp).getTime() : null,
+      fields: embed.fields.map(field => ({ name: field.name, value: field.value, inline: Boolean(field.inline) })),
+      thumbnail: embed.thumbnail ? { url: embed.thumbnail.url } : null,
+      image: embed.image ? { url: embed.image.url } : null,
+      footer: embed.footer ? { text: embed.footer.text, icon_url: iconURL(embed.footer) } : null,
+    });
+  }
+
   /**
    * Normalizes field input and resolves strings.
    * @param {StringResolvable} name The name of the field
@@ -69,6 +69,83 @@ class TextChannel extends GuildChannel {
     return members;
   }
 
+  /**
+   * The threads of this channel that the client knows of, mapped by their IDs
+   * @type {Collection<Snowflake, ThreadChannel>}
+   * @readonly
+   */
+  get threads() {
+    return this.guild.threads.filter(thread => thread.parentID === this.id);
+  }
+
+  /**
+   * Options for creating a thread.
+   * @typedef {Object} ThreadCreateOptions
+   * @property {ThreadAutoArchiveDuration} [autoArchiveDuration] How long in minutes the thread stays active
+   * without messages before it is archived
+   * @property {string} [type] The type of the thread, `public_thread` or `private_thread` (only for threads that
+   * don't start from a message, defaults to a public thread, or a news thread in news channels)
+   * @property {boolean} [invitable] Whether members that aren't moderators can add others to the private thread
+   * @property {number} [rateLimitPerUser] The ratelimit per user for the thread in seconds
+   * @property {string} [reason] Reason for creating the thread
+   */
+
+  /**
+   * Creates a thread in this channel that doesn't start from a message.
+   * @param {string} name The name of the thread
+   * @param {ThreadCreateOptions} [options] Options for the thread
+   * @returns {Promise<ThreadChannel>}
+   * @example
+   * // Create a private thread that archives after a day
+   * channel.createThread('mod-talk', { type: 'private_thread', autoArchiveDuration: 1440 })
+   *   .then(thread => console.log(`Created thread ${thread.name}`))
+   *   .catch(console.error);
+   */
+  createThread(name, options = {}) {
+    return this.client.rest.methods.createThread(this, name, options);
+  }
+
+  /**
+   * The threads that were fetched, and whether there are more to fetch.
+   * @typedef {Object} FetchedThreads
+   * @property {Collection<Snowflake, ThreadChannel>} threads The threads that were fetched
+   * @property {boolean} hasMore Whether there are more threads to fetch
+   */
+
+  /**
+   * Fetches the active threads of this channel.
+   * @returns {Promise<FetchedThreads>}
+   */
+  fetchActiveThreads() {
+    return this.guild.fetchActiveThreads().then(({ threads, hasMore }) => ({
+      threads: threads.filter(thread => thread.parentID === this.id),
+      hasMore,
+    }));
+  }
+
+  /**
+   * Options for fetching archived threads.
+   * @typedef {Object} FetchArchivedThreadsOptions
+   * @property {string} [type='public'] The type of threads to fetch, `public` or `private`
+   * @property {boolean} [joined=false] Whether to fetch only the private threads the client user has joined
+   * @property {ThreadChannel|Date|number|string} [before] Fetch threads archived before this one or this time
+   * @property {number} [limit] The maximum number of threads to fetch
+   */
+
+  /**
+   * Fetches the archived threads of this channel, most recently archived first.
+   * @param {FetchArchivedThreadsOptions} [options] Options for fetching the threads
+   * @returns {Promise<FetchedThreads>}
+   * @example
+   * // Fetch the archived public threads
+   * channel.fetchArchivedThreads()
+   *   .then(({ threads }) => console.log(`Fetched ${threads.size} archived threads`))
+   *   .catch(console.error);
+   */
+  fetchArchivedThreads(options = {}) {
+    return this.client.rest.methods.getArchivedThreads(this, options);
+  }
+
   /**
    * Fetch all webhooks for the channel.
    * @returns {Promise<Collection<Snowflake, Webhook>>}
@@ -0,0 +1,367 @@
+const Channel = require('./Channel');
+const TextBasedChannel = require('./interfaces/TextBasedChannel');
+const ThreadMember = require('./ThreadMember');
+const Collection = require('../util/Collection');
+const Constants = require('../util/Constants');
+
+/**
+ * Represents a thread channel on Discord, which lives under a text or news channel of a guild.
+ * @extends {Channel}
+ * @implements {TextBasedChannel}
+ */
+class ThreadChannel extends Channel {
+  constructor(guild, data) {
+    super(guild.client, null);
+
+    /**
+     * The guild the thread is in
+     * @type {Guild}
+     */
+    this.guild = guild;
+
+    /**
+     * A collection containing the messages sent to this thread
+     * @type {Collection<Snowflake, Message>}
+     */
+    this.messages = new Collection();
+
+    /**
+     * The members of the thread that are cached, mapped by their user IDs
+     * @type {Collection<Snowflake, ThreadMember>}
+     */
+    this.members = new Collection();
+
+    this._typing = new Map();
+
+    this.setup(data);
+  }
+
+  setup(data) {
+    super.setup(data);
+
+    /**
+     * The type of the thread, either:
+     * * `news_thread` - a thread under a news channel
+     * * `public_thread` - a thread everyone in the parent channel can see
+     * * `private_thread` - a thread only its members and moderators can see
+     * @name ThreadChannel#type
+     * @type {string}
+     */
+    this.type = Object.keys(Constants.ChannelTypes).find(type => Constants.ChannelTypes[type] === data.type)
+      .toLowerCase();
+
+    /**
+     * The name of the thread
+     * @type {string}
+     */
+    this.name = data.name;
+
+    /**
+     * The ID of the channel this thread was created in
+     * @type {Snowflake}
+     */
+    this.parentID = data.parent_id;
+
+    /**
+     * The ID of the user that created this thread
+     * @type {?Snowflake}
+     */
+    this.ownerID = data.owner_id || null;
+
+    /**
+     * The ID of the last message sent in this thread, if one was sent
+     * @type {?Snowflake}
+     */
+    this.lastMessageID = data.last_message_id;
+
+    /**
+     * The timestamp when the last pinned message was pinned, if there was one
+     * @type {?number}
+     */
+    this.lastPinTimestamp = data.last_pin_timestamp ? new Date(data.last_pin_timestamp).getTime() : null;
+
+    /**
+     * The ratelimit per user for this thread in seconds
+     * @type {number}
+     */
+    this.rateLimitPerUser = data.rate_limit_per_user || 0;
+
+    /**
+     * The approximate number of messages in this thread (stops counting at 50)
+     * @type {?number}
+     */
+    this.messageCount = typeof data.message_count === 'number' ? data.message_count : null;
+
+    /**
+     * The approximate number of members in this thread (stops counting at 50)
+     * @type {?number}
+     */
+    this.memberCount = typeof data.member_count === 'number' ? data.member_count : null;
+
+    if (data.thread_metadata) {
+      /**
+       * Whether the thread is archived
+       * @type {boolean}
+       */
+      this.archived = data.thread_metadata.archived;
+
+      /**
+       * Whether the thread is locked, so that only moderators can unarchive it
+       * @type {boolean}
+       */
+      this.locked = Boolean(data.thread_metadata.locked);
+
+      /**
+       * Whether members that aren't moderators can add others to this thread (only for private threads)
+       * @type {?boolean}
+       */
+      this.invitable = this.type === 'private_thread' ? Boolean(data.thread_metadata.invitable) : null;
+
+      /**
+       * How long in minutes the thread stays active without messages before it is archived
+       * @type {ThreadAutoArchiveDuration}
+       */
+      this.autoArchiveDuration = data.thread_metadata.auto_archive_duration;
+
+      /**
+       * The timestamp when the thread was last archived or unarchived
+       * @type {number}
+       */
+      this.archiveTimestamp = new Date(data.thread_metadata.archive_timestamp).getTime();
+    }
+
+    // The thread member of the client user is included when it has joined the thread
+    if (data.member) this._addMember(data.member);
+  }
+
+  /**
+   * The time the thread was last archived or unarchived
+   * @type {Date}
+   * @readonly
+   */
+  get archivedAt() {
+    return new Date(this.archiveTimestamp);
+  }
+
+  /**
+   * The channel this thread was created in
+   * @type {?TextChannel}
+   * @readonly
+   */
+  get parent() {
+    return this.guild.channels.get(this.parentID) || null;
+  }
+
+  /**
+   * The guild member that created this thread
+   * @type {?GuildMember}
+   * @readonly
+   */
+  get owner() {
+    return this.guild.members.get(this.ownerID) || null;
+  }
+
+  /**
+   * Whether the client user is a member of this thread
+   * @type {boolean}
+   * @readonly
+   */
+  get joined() {
+    return this.members.has(this.client.user.id);
+  }
+
+  /**
+   * Gets the overall set of permissions for a member or role in this thread, which are those of its parent channel.
+   * @param {GuildMemberResolvable|RoleResolvable} memberOrRole The member or role to obtain the overall permissions for
+   * @returns {?Permissions}
+   */
+  permissionsFor(memberOrRole) {
+    return this.parent ? this.parent.permissionsFor(memberOrRole) : null;
+  }
+
+  /**
+   * The data for a thread.
+   * @typedef {Object} ThreadData
+   * @property {string} [name] The name of the thread
+   * @property {boolean} [archived] Whether the thread is archived
+   * @property {boolean} [locked] Whether the thread is locked
+   * @property {boolean} [invitable] Whether members that aren't moderators can add others to the private thread
+   * @property {ThreadAutoArchiveDuration} [autoArchiveDuration] How long in minutes the thread stays active
+   * without messages before it is archived
+   * @property {number} [rateLimitPerUser] The ratelimit per user for the thread in seconds
+   */
+
+  /**
+   * How long in minutes a thread stays active without messages before it is archived, either:
+   * * `60` - an hour
+   * * `1440` - a day
+   * * `4320` - three days
+   * * `10080` - a week
+   * @typedef {number} ThreadAutoArchiveDuration
+   */
+
+  /**
+   * Edits the thread.
+   * @param {ThreadData} data The new data for the thread
+   * @param {string} [reason] Reason for editing this thread
+   * @returns {Promise<ThreadChannel>}
+   * @example
+   * // Archive and lock a thread
+   * thread.edit({ archived: true, locked: true })
+   *   .then(console.log)
+   *   .catch(console.error);
+   */
+  edit(data, reason) {
+    return this.client.rest.methods.updateThread(this, data, reason).then(() => this);
+  }
+
+  /**
+   * Sets a new name for the thread.
+   * @param {string} name The new name for the thread
+   * @param {string} [reason] Reason for changing the thread's name
+   * @returns {Promise<ThreadChannel>}
+   */
+  setName(name, reason) {
+    return this.edit({ name }, reason);
+  }
+
+  /**
+   * Sets whether the thread is archived.
+   * @param {boolean} [archived=true] Whether the thread should be archived
+   * @param {string} [reason] Reason for archiving or unarchiving the thread
+   * @returns {Promise<ThreadChannel>}
+   */
+  setArchived(archived = true, reason) {
+    return this.edit({ archived }, reason);
+  }
+
+  /**
+   * Sets whether the thread is locked, so that only moderators can unarchive it.
+   * @param {boolean} [locked=true] Whether the thread should be locked
+   * @param {string} [reason] Reason for locking or unlocking the thread
+   * @returns {Promise<ThreadChannel>}
+   */
+  setLocked(locked = true, reason) {
+    return this.edit({ locked }, reason);
+  }
+
+  /**
+   * Sets how long the thread stays active without messages before it is archived.
+   * @param {ThreadAutoArchiveDuration} autoArchiveDuration The new duration in minutes
+   * @param {string} [reason] Reason for changing the duration
+   * @returns {Promise<ThreadChannel>}
+   */
+  setAutoArchiveDuration(autoArchiveDuration, reason) {
+    return this.edit({ autoArchiveDuration }, reason);
+  }
+
+  /**
+   * Sets the rate limit per user for this thread.
+   * @param {number} rateLimitPerUser The new ratelimit in seconds
+   * @param {string} [reason] Reason for changing the thread's ratelimits
+   * @returns {Promise<ThreadChannel>}
+   */
+  setRateLimitPerUser(rateLimitPerUser, reason) {
+    return this.edit({ rateLimitPerUser }, reason);
+  }
+
+  /**
+   * Makes the client user join the thread.
+   * @returns {Promise<ThreadChannel>}
+   */
+  join() {
+    return this.client.rest.methods.addThreadMember(this, '@me');
+  }
+
+  /**
+   * Makes the client user leave the thread.
+   * @returns {Promise<ThreadChannel>}
+   */
+  leave() {
+    return this.client.rest.methods.removeThreadMember(this, '@me');
+  }
+
+  /**
+   * Adds a member to the thread.
+   * @param {UserResolvable} user The user to add
+   * @returns {Promise<ThreadChannel>}
+   */
+  addMember(user) {
+    const id = this.client.resolver.resolveUserID(user);
+    if (!id) return Promise.reject(new TypeError('The user must be a UserResolvable.'));
+    return this.client.rest.methods.addThreadMember(this, id);
+  }
+
+  /**
+   * Removes a member from the thread.
+   * @param {UserResolvable} user The user to remove
+   * @returns {Promise<ThreadChannel>}
+   */
+  removeMember(user) {
+    const id = this.client.resolver.resolveUserID(user);
+    if (!id) return Promise.reject(new TypeError('The user must be a UserResolvable.'));
+    return this.client.rest.methods.removeThreadMember(this, id);
+  }
+
+  /**
+   * Fetches the members of the thread, and caches them.
+   * @returns {Promise<Collection<Snowflake, ThreadMember>>}
+   */
+  fetchMembers() {
+    return this.client.rest.methods.getThreadMembers(this);
+  }
+
+  /**
+   * Deletes the thread.
+   * @param {string} [reason] Reason for deleting this thread
+   * @returns {Promise<ThreadChannel>}
+   */
+  delete(reason) {
+    return this.client.rest.methods.deleteChannel(this, reason);
+  }
+
+  /**
+   * When concatenated with a string, this automatically returns the thread's mention instead of the object.
+   * @returns {string}
+   */
+  toString() {
+    return `<#${this.id}>`;
+  }
+
+  _addMember(data) {
+    let member = this.members.get(data.user_id || this.client.user.id);
+    if (member) member.setup(data);
+    else member = new ThreadMember(this, data);
+    this.members.set(member.id, member);
+    return member;
+  }
+
+  // These are here only for documentation purposes - they are implemented by TextBasedChannel
+  /* eslint-disable no-empty-function */
+  get lastMessage() {}
+  get lastPinAt() {}
+  send() { }
+  sendMessage() { }
+  sendEmbed() { }
+  sendFile() { }
+  sendFiles() { }
+  sendCode() { }
+  fetchMessage() { }
+  fetchMessages() { }
+  fetchPinnedMessages() { }
+  search() { }
+  startTyping() { }
+  stopTyping() { }
+  get typing() { }
+  get typingCount() { }
+  createCollector() { }
+  createMessageCollector() { }
+  awaitMessages() { }
+  bulkDelete() { }
+  acknowledge() { }
+  _cacheMessage() { }
+}
+
+TextBasedChannel.applyToClass(ThreadChannel, true);
+
+module.exports = ThreadChannel;
@@ -0,0 +1,89 @@
+/**
+ * Represents a member of a thread.
+ */
+class ThreadMember {
+  constructor(thread, data) {
+    /**
+     * The client that instantiated this thread member
+     * @name ThreadMember#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: thread.client });
+
+    /**
+     * The thread this member is part of
+     * @type {ThreadChannel}
+     */
+    this.thread = thread;
+
+    this.setup(data);
+  }
+
+  setup(data) {
+    /**
+     * The ID of the user this thread member is for
+     * @type {Snowflake}
+     */
+    this.id = data.user_id || this.client.user.id;
+
+    /**
+     * The timestamp the member joined the thread at
+     * @type {number}
+     */
+    this.joinedTimestamp = new Date(data.join_timestamp).getTime();
+
+    /**
+     * The flags of the member, which are used for the notification settings of the thread
+     * @type {number}
+     */
+    this.flags = data.flags;
+
+    if (data.member && !this.thread.guild.members.has(this.id)) this.thread.guild._addMember(data.member, false);
+  }
+
+  /**
+   * The time the member joined the thread
+   * @type {Date}
+   * @readonly
+   */
+  get joinedAt() {
+    return new Date(this.joinedTimestamp);
+  }
+
+  /**
+   * The user this thread member is for
+   * @type {?User}
+   * @readonly
+   */
+  get user() {
+    return this.client.users.get(this.id) || null;
+  }
+
+  /**
+   * The guild member this thread member is for
+   * @type {?GuildMember}
+   * @readonly
+   */
+  get guildMember() {
+    return this.thread.guild.members.get(this.id) || null;
+  }
+
+  /**
+   * Removes this member from the thread.
+   * @returns {Promise<ThreadMember>}
+   */
+  remove() {
+    return this.thread.removeMember(this.id).then(() => this);
+  }
+
+  /**
+   * When concatenated with a string, this automatically returns the user's mention instead of the object.
+   * @returns {string}
+   */
+  toString() {
+    return `<@${this.id}>`;
+  }
+}
+
+module.exports = ThreadMember;
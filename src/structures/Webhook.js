@@ -128,10 +128,12 @@ class Webhook extends EventEmitter {
    * @property {string} [avatarURL] Avatar URL override for the message
    * @property {boolean} [tts=false] Whether or not the message should be spoken aloud
    * @property {string} [nonce=''] The nonce for the message
-   * @property {Array<RichEmbed|Object>} [embeds] An array of embeds for the message
+   * @property {Array<RichEmbed|Object>} [embeds] An array of embeds for the message (max 10)
    * (see [here](https://discordapp.com/developers/docs/resources/channel#embed-object) for more details)
    * @property {boolean} [disableEveryone=this.client.options.disableEveryone] Whether or not @everyone and @here
-   * should be replaced with plain-text
+   * should be prevented from mentioning anyone
+   * @property {?MessageMentionOptions} [allowedMentions=this.client.options.allowedMentions] Which mentions in the
+   * message should notify their targets
    * @property {FileOptions|BufferResolvable|Attachment} [file] A file to send with the message **(deprecated)**
    * @property {FileOptions[]|BufferResolvable[]|Attachment[]} [files] Files to send with the message
    * @property {string|boolean} [code] Language for optional codeblock formatting to apply
@@ -196,7 +198,7 @@ class Webhook extends EventEmitter {
 
     if (content) {
       content = this.client.resolver.resolveString(content);
-      let { split, code, disableEveryone } = options;
+      let { split, code } = options;
       if (split && typeof split !== 'object') split = {};
       if (typeof code !== 'undefined' && (typeof code !== 'boolean' || code === true)) {
         content = Util.escapeMarkdown(content, true);
@@ -206,9 +208,6 @@ class Webhook extends EventEmitter {
           split.append = '\n```';
         }
       }
-      if (disableEveryone || (typeof disableEveryone === 'undefined' && this.client.options.disableEveryone)) {
-        content = content.replace(/@(everyone|here)/g, '@\u200b$1');
-      }
 
       if (split) content = Util.splitMessage(content, split);
     }
@@ -227,8 +226,6 @@ class Webhook extends EventEmitter {
       else options.files = files;
     }
 
-    if (options.embeds) options.embeds = options.embeds.map(e => new RichEmbed(e).toJSON());
-
     if (options.files) {
       for (let i = 0; i < options.files.length; i++) {
         let file = options.files[i];
@@ -45,14 +45,41 @@ class TextBasedChannel {
    * @property {string} [nonce=''] The nonce for the message
    * @property {RichEmbed|Object} [embed] An embed for the message
    * (see [here](https://discordapp.com/developers/docs/resources/channel#embed-object) for more details)
+   * @property {Array<RichEmbed|Object>} [embeds] Embeds for the message (max 10, sent after `embed` if both are given)
    * @property {boolean} [disableEveryone=this.client.options.disableEveryone] Whether or not @everyone and @here
-   * should be replaced with plain-text
+   * should be prevented from mentioning anyone (removes `everyone` from {@link MessageMentionOptions#parse})
+   * @property {?MessageMentionOptions} [allowedMentions=this.client.options.allowedMentions] Which mentions in the
+   * message should notify their targets
    * @property {FileOptions|BufferResolvable|Attachment} [file] A file to send with the message **(deprecated)**
    * @property {FileOptions[]|BufferResolvable[]|Attachment[]} [files] Files to send with the message
    * @property {string|boolean} [code] Language for optional codeblock formatting to apply
    * @property {boolean|SplitOptions} [split=false] Whether or not the message should be split into multiple messages if
    * it exceeds the character limit. If an object is provided, these are the options for splitting the message
    * @property {UserResolvable} [reply] User to reply to (prefixes the message with a mention, except in DMs)
+   * @property {Message|Snowflake} [replyTo] Message to reply to inline
+   * @property {boolean} [failIfNotExists=true] Whether sending should fail when the message to reply to does not
+   * exist, rather than send a message that isn't a reply
+   * @property {boolean} [mentionRepliedUser=true] Whether to mention the author of the message to reply to
+   * @property {number} [timeout=this.client.options.restRequestTimeout] Time in milliseconds after which sending
+   * is aborted if it has not completed
+   * @property {AbortSignal} [signal] A signal that aborts sending the message when it fires
+   */
+
+  /**
+   * Options for which mentions in a message should notify their targets.
+   * @typedef {Object} MessageMentionOptions
+   * @property {MessageMentionTypes[]} [parse] Types of mentions to parse from the content
+   * @property {UserResolvable[]} [users] Users that may be mentioned (can't be combined with parsing `users`)
+   * @property {Array<Role|Snowflake>} [roles] Roles that may be mentioned (can't be combined with parsing `roles`)
+   * @property {boolean} [repliedUser=true] Whether the author of the message being replied to should be mentioned
+   */
+
+  /**
+   * Types of mentions that can be parsed from a message's content:
+   * * `users`
+   * * `roles`
+   * * `everyone` (both @everyone and @here)
+   * @typedef {string} MessageMentionTypes
    */
 
   /**
@@ -123,22 +150,23 @@ class TextBasedChannel {
       options = {};
     }
 
-    const { reply } = options;
+    const { reply, replyTo } = options;
     if (options instanceof Attachment) options = { files: [options.file] };
     if (options instanceof RichEmbed) {
       if (options.reply) options.reply = undefined;
       options = { embed: options };
     }
     options.reply = reply;
+    options.replyTo = replyTo;
 
-    if (options.embed) {
-      if (options.embed.file) {
-        if (options.files) options.files.push(options.embed.file);
-        else options.files = [options.embed.file];
+    for (const embed of (options.embed ? [options.embed] : []).concat(options.embeds || [])) {
+      if (embed.file) {
+        if (options.files) options.files.push(embed.file);
+        else options.files = [embed.file];
       }
-      if (options.embed.files) {
-        if (options.files) options.files = options.files.concat(options.embed.files);
-        else options.files = options.embed.files;
+      if (embed.files) {
+        if (options.files) options.files = options.files.concat(embed.files);
+        else options.files = embed.files;
       }
     }
 
@@ -147,8 +175,6 @@ class TextBasedChannel {
       else options.files = [options.file];
     }
 
-    if (options.embed) options.embed = new RichEmbed(options.embed).toJSON();
-
     if (options.files) {
       for (let i = 0; i < options.files.length; i++) {
         let file = options.files[i];
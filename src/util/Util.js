@@ -141,7 +141,8 @@ class Util {
     for (const key in def) {
       if (!{}.hasOwnProperty.call(given, key)) {
         given[key] = def[key];
-      } else if (given[key] === Object(given[key])) {
+      } else if (given[key] === Object(given[key]) && !Array.isArray(given[key])) {
+        // Arrays are taken as given, rather than filled in with the default's elements
         given[key] = this.mergeDefault(def[key], given[key]);
       }
     }
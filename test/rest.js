@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('assert');
+const Discord = require('../');
+
+const { MockTransport } = Discord;
+const channel = '/channels/111111111111111111';
+
+const bucket = (hash, remaining, resetAfter) => ({
+  headers: {
+    'x-ratelimit-bucket': hash,
+    'x-ratelimit-limit': 5,
+    'x-ratelimit-remaining': remaining,
+    'x-ratelimit-reset-after': resetAfter,
+  },
+  body: { id: '1' },
+});
+
+function createClient(apiRequestMethod) {
+  const transport = new MockTransport();
+  const client = new Discord.Client({
+    http: { transport },
+    apiRequestMethod,
+    restTimeOffset: 0,
+    retry: { baseDelay: 10 },
+  });
+  client.token = 'token';
+  return { client, transport };
+}
+
+async function retriesRateLimited(apiRequestMethod) {
+  const { client, transport } = createClient(apiRequestMethod);
+  transport.route('get', `${channel}/messages/1`, MockTransport.rateLimited(100), bucket('a', 4, 1));
+  const start = Date.now();
+  const data = await client.rest.makeRequest('get', `${channel}/messages/1`, true);
+  assert.deepStrictEqual(data, { id: '1' });
+  assert.strictEqual(transport.calls.length, 2);
+  assert.ok(Date.now() - start >= 100, 'the request was retried before the rate limit was over');
+  client.rest.destroy();
+}
+
+async function retriesServerErrors(apiRequestMethod) {
+  const { client, transport } = createClient(apiRequestMethod);
+  transport.route('get', `${channel}/messages/1`, MockTransport.serverError(502), bucket('a', 4, 1));
+  await client.rest.makeRequest('get', `${channel}/messages/1`, true);
+  assert.strictEqual(transport.calls.length, 2);
+  client.rest.destroy();
+}
+
+async function sharesBuckets(apiRequestMethod) {
+  const { client, transport } = createClient(apiRequestMethod);
+  transport
+    .route('get', `${channel}/messages/1`, bucket('shared', 1, 1), bucket('shared', 4, 1))
+    .route('get', `${channel}/pins`, bucket('shared', 0, 0.2));
+  await client.rest.makeRequest('get', `${channel}/messages/1`, true);
+  await client.rest.makeRequest('get', `${channel}/pins`, true);
+
+  // Both routes report the same bucket hash, so they are queued together
+  const messages = client.rest.getBucket('get', `${channel}/messages/1`);
+  const pins = client.rest.getBucket('get', `${channel}/pins`);
+  assert.strictEqual(messages.bucket, 'shared:111111111111111111');
+  assert.strictEqual(pins.bucket, messages.bucket);
+
+  // The request to the other route exhausted the bucket, so this one has to wait for it to reset
+  const start = Date.now();
+  await client.rest.makeRequest('get', `${channel}/messages/1`, true);
+  assert.ok(Date.now() - start >= 150, 'the request did not wait for the shared bucket to reset');
+  client.rest.destroy();
+}
+
+(async () => {
+  for (const apiRequestMethod of ['sequential', 'burst']) {
+    for (const test of [retriesRateLimited, retriesServerErrors, sharesBuckets]) {
+      await test(apiRequestMethod);
+      console.log(`${apiRequestMethod}: ${test.name} passed`);
+    }
+  }
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
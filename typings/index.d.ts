@@ -9,11 +9,19 @@ declare module 'discord.js' {
 	import { EventEmitter } from 'events';
 	import { Stream, Readable as ReadableStream } from 'stream';
 	import { ChildProcess } from 'child_process';
+	import { Agent } from 'http';
 
 	export const version: string;
 
 //#region Classes
 
+	export class AbortError extends Error {
+		constructor(request: object, timeout?: number);
+		public method: string;
+		public path: string;
+		public timeout: number | null;
+	}
+
 	class Attachment {
 		constructor(file: BufferResolvable | Stream, name?: string);
 		private _attach(file: BufferResolvable | Stream, name: string): void;
@@ -71,7 +79,7 @@ declare module 'discord.js' {
 		public readonly createdTimestamp: number;
 		public deleted: boolean;
 		public id: Snowflake;
-		public type: 'dm' | 'group' | GuildChannelType;
+		public type: 'dm' | 'group' | GuildChannelType | ThreadChannelType;
 		public delete(): Promise<Channel>;
 	}
 
@@ -84,9 +92,7 @@ declare module 'discord.js' {
 		private dataManager: object;
 		private manager: ClientManager;
 		private resolver: ClientDataResolver;
-		private rest: object;
 		private voice: ClientVoiceManager;
-		private ws: object;
 		private _eval(script: string): any;
 		private _pong(startTime: number): void;
 		private _setPresence(id: Snowflake, presence: object): void;
@@ -103,6 +109,9 @@ declare module 'discord.js' {
 		public presences: Collection<Snowflake, Presence>;
 		public readyAt: Date;
 		public readonly readyTimestamp: number;
+		public readStates: Collection<Snowflake, ReadState>;
+		public rest: RESTManager;
+		public readonly session: SessionState | null;
 		public shard: ShardClientUtil;
 		public readonly status: number;
 		public token: string;
@@ -110,6 +119,8 @@ declare module 'discord.js' {
 		public user: ClientUser;
 		public users: Collection<Snowflake, User>;
 		public readonly voiceConnections: Collection<Snowflake, VoiceConnection>;
+		public ws: WebSocketManager;
+		public ackChannels(channels: ChannelResolvable[] | Collection<Snowflake, Channel>): Promise<Collection<Snowflake, ReadState>>;
 		public clearInterval(interval: NodeJS.Timer): void;
 		public clearTimeout(timeout: NodeJS.Timer): void;
 		public createVoiceBroadcast(): VoiceBroadcast;
@@ -120,12 +131,14 @@ declare module 'discord.js' {
 		public fetchVoiceRegions(): Promise<Collection<string, VoiceRegion>>;
 		public fetchWebhook(id: Snowflake, token?: string): Promise<Webhook>;
 		public generateInvite(permissions?: PermissionResolvable): Promise<string>;
-		public login(token?: string): Promise<string>;
+		public login(token?: string, session?: SessionState): Promise<string>;
 		public setInterval(fn: Function, delay: number, ...args: any[]): NodeJS.Timer;
 		public setTimeout(fn: Function, delay: number, ...args: any[]): NodeJS.Timer;
 		public sweepMessages(lifetime?: number): number;
 		public syncGuilds(guilds?: Guild[] | Collection<Snowflake, Guild>): void;
 
+		public on(event: 'apiRequest', listener: (request: APIRequestInfo) => void): this;
+		public on(event: 'apiResponse', listener: (request: APIRequestInfo) => void): this;
 		public on(event: 'channelCreate', listener: (channel: Channel) => void): this;
 		public on(event: 'channelDelete', listener: (channel: Channel) => void): this;
 		public on(event: 'channelPinsUpdate', listener: (channel: Channel, time: Date) => void): this;
@@ -133,11 +146,12 @@ declare module 'discord.js' {
 		public on(event: 'clientUserGuildSettingsUpdate', listener: (clientUserGuildSettings: ClientUserGuildSettings) => void): this;
 		public on(event: 'clientUserSettingsUpdate', listener: (clientUserSettings: ClientUserSettings) => void): this;
 		public on(event: 'debug', listener: (info: string) => void): this;
-		public on(event: 'disconnect', listener: (event: any) => void): this;
+		public on(event: 'disconnect', listener: (event: any, reason: DisconnectReason) => void): this;
 		public on(event: 'emojiCreate', listener: (emoji: Emoji) => void): this;
 		public on(event: 'emojiDelete', listener: (emoji: Emoji) => void): this;
 		public on(event: 'emojiUpdate', listener: (oldEmoji: Emoji, newEmoji: Emoji) => void): this;
 		public on(event: 'error', listener: (error: Error) => void): this;
+		public on(event: 'gatewayQueueBacklog', listener: (info: GatewayQueueBacklogInfo) => void): this;
 		public on(event: 'guildBanAdd', listener: (guild: Guild, user: User) => void): this;
 		public on(event: 'guildBanRemove', listener: (guild: Guild, user: User) => void): this;
 		public on(event: 'guildCreate', listener: (guild: Guild) => void): this;
@@ -145,7 +159,8 @@ declare module 'discord.js' {
 		public on(event: 'guildMemberAdd', listener: (member: GuildMember) => void): this;
 		public on(event: 'guildMemberAvailable', listener: (member: GuildMember) => void): this;
 		public on(event: 'guildMemberRemove', listener: (member: GuildMember) => void): this;
-		public on(event: 'guildMembersChunk', listener: (members: GuildMember[], guild: Guild) => void): this;
+		public on(event: 'guildMemberListUpdate', listener: (guild: Guild, update: GuildMemberListUpdate) => void): this;
+		public on(event: 'guildMembersChunk', listener: (members: GuildMember[], guild: Guild, chunk: GuildMembersChunkInfo) => void): this;
 		public on(event: 'guildMemberSpeaking', listener: (member: GuildMember, speaking: boolean) => void): this;
 		public on(event: 'guildMemberUpdate', listener: (oldMember: GuildMember, newMember: GuildMember) => void): this;
 		public on(event: 'guildUnavailable', listener: (guild: Guild) => void): this;
@@ -153,6 +168,7 @@ declare module 'discord.js' {
 		public on(event: 'guildIntegrationsUpdate', listener: (guild: Guild) => void): this;
 		public on(event: 'inviteCreate' | 'inviteDelete', listener: (invite: Invite) => void): this;
 		public on(event: 'message', listener: (message: Message) => void): this;
+		public on(event: 'messageAck', listener: (readState: ReadState) => void): this;
 		public on(event: 'messageDelete', listener: (message: Message) => void): this;
 		public on(event: 'messageDeleteBulk', listener: (messages: Collection<Snowflake, Message>) => void): this;
 		public on(event: 'messageReactionAdd', listener: (messageReaction: MessageReaction, user: User) => void): this;
@@ -162,21 +178,30 @@ declare module 'discord.js' {
 		public on(event: 'messageUpdate', listener: (oldMessage: Message, newMessage: Message) => void): this;
 		public on(event: 'presenceUpdate', listener: (oldMember: GuildMember, newMember: GuildMember) => void): this;
 		public on(event: 'rateLimit', listener: (rateLimit: RateLimitInfo) => void): this;
+		public on(event: 'raw', listener: (packet: any) => void): this;
 		public on(event: 'ready', listener: () => void): this;
-		public on(event: 'reconnecting', listener: () => void): this;
+		public on(event: 'reconnecting', listener: (attempt: number, delay: number) => void): this;
 		public on(event: 'resume', listener: (replayed: number) => void): this;
 		public on(event: 'roleCreate', listener: (role: Role) => void): this;
 		public on(event: 'roleDelete', listener: (role: Role) => void): this;
 		public on(event: 'roleUpdate', listener: (oldRole: Role, newRole: Role) => void): this;
+		public on(event: 'threadCreate' | 'threadDelete', listener: (thread: ThreadChannel) => void): this;
+		public on(event: 'threadListSync', listener: (threads: Collection<Snowflake, ThreadChannel>, guild: Guild) => void): this;
+		public on(event: 'threadMemberUpdate', listener: (oldMember: ThreadMember | null, newMember: ThreadMember) => void): this;
+		public on(event: 'threadMembersUpdate', listener: (oldMembers: Collection<Snowflake, ThreadMember>, newMembers: Collection<Snowflake, ThreadMember>, thread: ThreadChannel) => void): this;
+		public on(event: 'threadUpdate', listener: (oldThread: ThreadChannel, newThread: ThreadChannel) => void): this;
 		public on(event: 'typingStart', listener: (channel: Channel, user: User) => void): this;
 		public on(event: 'typingStop', listener: (channel: Channel, user: User) => void): this;
 		public on(event: 'userNoteUpdate', listener: (user: UserResolvable, oldNote: string, newNote: string) => void): this;
 		public on(event: 'userUpdate', listener: (oldUser: User, newUser: User) => void): this;
 		public on(event: 'voiceStateUpdate', listener: (oldMember: GuildMember, newMember: GuildMember) => void): this;
 		public on(event: 'warn', listener: (info: string) => void): this;
+		public on(event: 'zombieConnection', listener: (info: ZombieConnectionInfo) => void): this;
 		public on(event: 'webhookUpdate', listener: (channel: TextChannel) => void): this;
 		public on(event: string, listener: Function): this;
 
+		public once(event: 'apiRequest', listener: (request: APIRequestInfo) => void): this;
+		public once(event: 'apiResponse', listener: (request: APIRequestInfo) => void): this;
 		public once(event: 'channelCreate', listener: (channel: Channel) => void): this;
 		public once(event: 'channelDelete', listener: (channel: Channel) => void): this;
 		public once(event: 'channelPinsUpdate', listener: (channel: Channel, time: Date) => void): this;
@@ -184,11 +209,12 @@ declare module 'discord.js' {
 		public once(event: 'clientUserGuildSettingsUpdate', listener: (clientUserGuildSettings: ClientUserGuildSettings) => void): this;
 		public once(event: 'clientUserSettingsUpdate', listener: (clientUserSettings: ClientUserSettings) => void): this;
 		public once(event: 'debug', listener: (info: string) => void): this;
-		public once(event: 'disconnect', listener: (event: any) => void): this;
+		public once(event: 'disconnect', listener: (event: any, reason: DisconnectReason) => void): this;
 		public once(event: 'emojiCreate', listener: (emoji: Emoji) => void): this;
 		public once(event: 'emojiDelete', listener: (emoji: Emoji) => void): this;
 		public once(event: 'emojiUpdate', listener: (oldEmoji: Emoji, newEmoji: Emoji) => void): this;
 		public once(event: 'error', listener: (error: Error) => void): this;
+		public once(event: 'gatewayQueueBacklog', listener: (info: GatewayQueueBacklogInfo) => void): this;
 		public once(event: 'guildBanAdd', listener: (guild: Guild, user: User) => void): this;
 		public once(event: 'guildBanRemove', listener: (guild: Guild, user: User) => void): this;
 		public once(event: 'guildCreate', listener: (guild: Guild) => void): this;
@@ -196,13 +222,15 @@ declare module 'discord.js' {
 		public once(event: 'guildMemberAdd', listener: (member: GuildMember) => void): this;
 		public once(event: 'guildMemberAvailable', listener: (member: GuildMember) => void): this;
 		public once(event: 'guildMemberRemove', listener: (member: GuildMember) => void): this;
-		public once(event: 'guildMembersChunk', listener: (members: GuildMember[], guild: Guild) => void): this;
+		public once(event: 'guildMemberListUpdate', listener: (guild: Guild, update: GuildMemberListUpdate) => void): this;
+		public once(event: 'guildMembersChunk', listener: (members: GuildMember[], guild: Guild, chunk: GuildMembersChunkInfo) => void): this;
 		public once(event: 'guildMemberSpeaking', listener: (member: GuildMember, speaking: boolean) => void): this;
 		public once(event: 'guildMemberUpdate', listener: (oldMember: GuildMember, newMember: GuildMember) => void): this;
 		public once(event: 'guildUnavailable', listener: (guild: Guild) => void): this;
 		public once(event: 'guildUpdate', listener: (oldGuild: Guild, newGuild: Guild) => void): this;
 		public once(event: 'guildIntegrationsUpdate', listener: (guild: Guild) => void): this;
 		public once(event: 'message', listener: (message: Message) => void): this;
+		public once(event: 'messageAck', listener: (readState: ReadState) => void): this;
 		public once(event: 'messageDelete', listener: (message: Message) => void): this;
 		public once(event: 'messageDeleteBulk', listener: (messages: Collection<Snowflake, Message>) => void): this;
 		public once(event: 'messageReactionAdd', listener: (messageReaction: MessageReaction, user: User) => void): this;
@@ -212,18 +240,25 @@ declare module 'discord.js' {
 		public once(event: 'messageUpdate', listener: (oldMessage: Message, newMessage: Message) => void): this;
 		public once(event: 'presenceUpdate', listener: (oldMember: GuildMember, newMember: GuildMember) => void): this;
 		public once(event: 'rateLimit', listener: (rateLimit: RateLimitInfo) => void): this;
+		public once(event: 'raw', listener: (packet: any) => void): this;
 		public once(event: 'ready', listener: () => void): this;
-		public once(event: 'reconnecting', listener: () => void): this;
+		public once(event: 'reconnecting', listener: (attempt: number, delay: number) => void): this;
 		public once(event: 'resume', listener: (replayed: number) => void): this;
 		public once(event: 'roleCreate', listener: (role: Role) => void): this;
 		public once(event: 'roleDelete', listener: (role: Role) => void): this;
 		public once(event: 'roleUpdate', listener: (oldRole: Role, newRole: Role) => void): this;
+		public once(event: 'threadCreate' | 'threadDelete', listener: (thread: ThreadChannel) => void): this;
+		public once(event: 'threadListSync', listener: (threads: Collection<Snowflake, ThreadChannel>, guild: Guild) => void): this;
+		public once(event: 'threadMemberUpdate', listener: (oldMember: ThreadMember | null, newMember: ThreadMember) => void): this;
+		public once(event: 'threadMembersUpdate', listener: (oldMembers: Collection<Snowflake, ThreadMember>, newMembers: Collection<Snowflake, ThreadMember>, thread: ThreadChannel) => void): this;
+		public once(event: 'threadUpdate', listener: (oldThread: ThreadChannel, newThread: ThreadChannel) => void): this;
 		public once(event: 'typingStart', listener: (channel: Channel, user: User) => void): this;
 		public once(event: 'typingStop', listener: (channel: Channel, user: User) => void): this;
 		public once(event: 'userNoteUpdate', listener: (user: UserResolvable, oldNote: string, newNote: string) => void): this;
 		public once(event: 'userUpdate', listener: (oldUser: User, newUser: User) => void): this;
 		public once(event: 'voiceStateUpdate', listener: (oldMember: GuildMember, newMember: GuildMember) => void): this;
 		public once(event: 'warn', listener: (info: string) => void): this;
+		public once(event: 'zombieConnection', listener: (info: ZombieConnectionInfo) => void): this;
 		public once(event: 'webhookUpdate', listener: (channel: TextChannel) => void): this;
 		public once(event: string, listener: Function): this;
 	}
@@ -408,13 +443,16 @@ declare module 'discord.js' {
 		public once(event: string, listener: Function): this;
 	}
 
-	class DiscordAPIError extends Error {
-		constructor(error: object);
+	export class DiscordAPIError extends Error {
+		constructor(path: string, error: object, method: string, httpStatus?: number, request?: object);
 		private static flattenErrors(obj: object, key: string): string[];
 
 		public code: number;
+		public readonly errorName: string | null;
+		public httpStatus: number | null;
 		public method: string;
 		public path: string;
+		public requestData: HTTPErrorData | null;
 	}
 
 	export class DMChannel extends TextBasedChannel(Channel) {
@@ -563,6 +601,7 @@ declare module 'discord.js' {
 		public readonly systemChannel: GuildChannel;
 		public systemChannelFlags: Readonly<SystemChannelFlags>;
 		public systemChannelID: Snowflake;
+		public threads: Collection<Snowflake, ThreadChannel>;
 		public vanityURLCode: string;
 		public readonly verified: boolean;
 		public verificationLevel: number;
@@ -584,6 +623,7 @@ declare module 'discord.js' {
 		public edit(data: GuildEditData, reason?: string): Promise<Guild>;
 		public equals(guild: Guild): boolean;
 		public fetch(): Promise<Guild>;
+		public fetchActiveThreads(): Promise<FetchedThreads>;
 		public fetchAuditLogs(options?: GuildAuditLogsFetchOptions): Promise<GuildAuditLogs>;
 		public fetchBan(user: UserResolvable): Promise<BanInfo>;
 		public fetchBans(withReasons?: false): Promise<Collection<Snowflake, User>>;
@@ -593,6 +633,7 @@ declare module 'discord.js' {
 		public fetchIntegrations(): Promise<Collection<string, Integration>>;
 		public fetchInvites(): Promise<Collection<Snowflake, Invite>>;
 		public fetchMember(user: UserResolvable, cache?: boolean): Promise<GuildMember>;
+		public fetchMembers(options: FetchMembersOptions): Promise<Collection<Snowflake, GuildMember>>;
 		public fetchMembers(query?: string, limit?: number): Promise<Guild>;
 		public fetchVanityCode(): Promise<string>;
 		public fetchVoiceRegions(): Promise<Collection<string, VoiceRegion>>;
@@ -620,6 +661,7 @@ declare module 'discord.js' {
 		public setSystemChannel(systemChannel: ChannelResolvable, reason?: string): Promise<Guild>;
 		public setSystemChannelFlags(systemChannelFlags: SystemChannelFlagsResolvable, reason?: string): Promise<Guild>;
 		public setVerificationLevel(verificationLevel: number, reason?: string): Promise<Guild>;
+		public subscribeMemberList(channel: ChannelResolvable, ranges?: [number, number][]): void;
 		public sync(): void;
 		public toString(): string;
 		public unban(user: UserResolvable, reason?: string): Promise<User>;
@@ -746,6 +788,15 @@ declare module 'discord.js' {
 		public toString(): string;
 	}
 
+	export class HTTPError extends Error {
+		constructor(message: string, request: object, httpStatus?: number, code?: string);
+		public code: string | null;
+		public httpStatus: number | null;
+		public method: string;
+		public path: string;
+		public requestData: HTTPErrorData;
+	}
+
 	export class Integration {
 		constructor(client: Client, data: object, guild: Guild);
 		public account: IntegrationAccount;
@@ -765,6 +816,14 @@ declare module 'discord.js' {
 		public sync(): Promise<Integration>;
 	}
 
+	export class Intents extends BitField<IntentsString> {
+		public static ALL: number;
+		public static FLAGS: Record<IntentsString, number>;
+		public static NON_PRIVILEGED: number;
+		public static PRIVILEGED: number;
+		public static resolve(bit?: BitFieldResolvable<IntentsString>): number;
+	}
+
 	export class Invite {
 		constructor(client: Client, data: object);
 		public channel: GuildChannel | PartialGuildChannel;
@@ -792,6 +851,7 @@ declare module 'discord.js' {
 	export class Message {
 		constructor(channel: TextChannel | DMChannel | GroupDMChannel, data: object, client: Client);
 		private _edits: Message[];
+		private _referencedMessage: Message | null;
 		private patch(data: object): void;
 
 		public attachments: Collection<Snowflake, MessageAttachment>;
@@ -820,6 +880,7 @@ declare module 'discord.js' {
 		public pinned: boolean;
 		public reactions: Collection<Snowflake, MessageReaction>;
 		public reference: MessageReference | null;
+		public readonly referencedMessage: Message | null;
 		public system: boolean;
 		public tts: boolean;
 		public type: string;
@@ -833,11 +894,13 @@ declare module 'discord.js' {
 		public edit(content: StringResolvable, options?: MessageEditOptions | RichEmbed): Promise<Message>;
 		public editCode(lang: string, content: StringResolvable): Promise<Message>;
 		public equals(message: Message, rawData: object): boolean;
+		public fetchReference(): Promise<Message>;
 		public fetchWebhook(): Promise<Webhook>;
 		public isMemberMentioned(member: GuildMember | User): boolean;
 		public isMentioned(data: GuildChannel | User | Role | Snowflake): boolean;
 		public pin(): Promise<Message>;
 		public react(emoji: string | Emoji | ReactionEmoji): Promise<MessageReaction>;
+		public startThread(name: string, options?: ThreadCreateOptions): Promise<ThreadChannel>;
 		public reply(content?: StringResolvable, options?: MessageOptions & { split: false }): Promise<Message>;
 		public reply(content?: StringResolvable, options?: MessageOptions): Promise<Message | Message[]>;
 		public reply(options?: MessageOptions): Promise<Message | Message[]>;
@@ -986,6 +1049,22 @@ declare module 'discord.js' {
 		public removeAll(): Promise<MessageReaction>;
 	}
 
+	export class MockTransport implements Transport {
+		constructor(options?: MockTransportOptions);
+		private responses: MockResponse[];
+		private routes: { method: string, path: string | RegExp, responses: MockResponse[] }[];
+		private static toResponse(response: Partial<TransportResponse>): TransportResponse;
+
+		public calls: MockTransportCall[];
+		public latency: number;
+		public reply(...responses: MockResponse[]): this;
+		public request(request: TransportRequest): Promise<TransportResponse>;
+		public reset(): this;
+		public route(method: string, path: string | RegExp, ...responses: MockResponse[]): this;
+		public static rateLimited(retryAfter: number, global?: boolean): Partial<TransportResponse>;
+		public static serverError(status?: number): Partial<TransportResponse>;
+	}
+
 	export class NewsChannel extends TextChannel {
 		constructor(guild: Guild, data: object);
 		public rateLimitPerUser: 0;
@@ -1089,6 +1168,16 @@ declare module 'discord.js' {
 		public postCheck(reaction: MessageReaction, user: User): string;
 	}
 
+	export class RateLimitError extends Error {
+		constructor(request: object, timeout: number, limit: number, global: boolean);
+		public global: boolean;
+		public limit: number;
+		public method: string;
+		public path: string;
+		public route: string;
+		public timeout: number;
+	}
+
 	export class ReactionEmoji {
 		constructor(reaction: MessageReaction, emoji: object);
 		public animated: boolean;
@@ -1103,6 +1192,44 @@ declare module 'discord.js' {
 		public toString(): string;
 	}
 
+	class RESTManager {
+		constructor(client: Client);
+		public agent: Agent | null;
+		private handlers: { [bucket: string]: RequestHandler };
+		private transport: Transport;
+		public bucketHashes: Collection<string, string>;
+		public readonly buckets: Collection<string, RateLimitBucket>;
+		public client: Client;
+		public readonly globalResetAfter: number;
+		public globallyRateLimited: boolean;
+		public stats: RESTStats | null;
+		public userAgentManager: UserAgentManager;
+		public getBucket(method: string, path: string): RateLimitBucket | null;
+		public makeRequest(method: string, url: string, auth: boolean, data?: any, file?: any, reason?: string,
+			options?: RequestOptions): Promise<any>;
+	}
+
+	class RESTStats {
+		constructor(sampleSize?: number);
+		private routes: Collection<string, object>;
+		public sampleSize: number;
+		public record(request: object, status: number | null, latency: number): void;
+		public reset(): void;
+		public toJSON(): RESTRouteStats[];
+	}
+
+	export class ReadState {
+		constructor(client: Client, data: object);
+		public readonly channel: Channel | null;
+		public channelID: Snowflake;
+		public readonly client: Client;
+		public lastPinTimestamp: number | null;
+		public lastReadMessageID: Snowflake | null;
+		public mentionCount: number;
+		public readonly unread: boolean;
+		public ack(): Promise<ReadState>;
+	}
+
 	class RequestHandler {
 		constructor(restManager: object);
 		public readonly globalLimit: boolean;
@@ -1147,6 +1274,7 @@ declare module 'discord.js' {
 		public setTimestamp(timestamp?: Date | number): this;
 		public setTitle(title: StringResolvable): this;
 		public setURL(url: string): this;
+		public static from(embed: MessageEmbed | RichEmbed): RichEmbed;
 		public static normalizeField(name: StringResolvable, value: StringResolvable, inline?: boolean): EmbedField;
 	}
 
@@ -1360,12 +1488,68 @@ declare module 'discord.js' {
 		public nsfw: boolean;
 		public topic: string | null;
 		public rateLimitPerUser: number;
+		public readonly threads: Collection<Snowflake, ThreadChannel>;
 		public setRateLimitPerUser(rateLimitPerUser: number, reason?: string): Promise<TextChannel>;
+		public createThread(name: string, options?: ThreadCreateOptions): Promise<ThreadChannel>;
 		public createWebhook(name: string, avatar: BufferResolvable, reason?: string): Promise<Webhook>;
+		public fetchActiveThreads(): Promise<FetchedThreads>;
+		public fetchArchivedThreads(options?: FetchArchivedThreadsOptions): Promise<FetchedThreads>;
 		public fetchWebhooks(): Promise<Collection<Snowflake, Webhook>>;
 		public setNSFW(nsfw: boolean, reason?: string): Promise<this>;
 	}
 
+	export class ThreadChannel extends TextBasedChannel(Channel) {
+		constructor(guild: Guild, data: object);
+		public archived: boolean;
+		public readonly archivedAt: Date;
+		public archiveTimestamp: number;
+		public autoArchiveDuration: ThreadAutoArchiveDuration;
+		public guild: Guild;
+		public invitable: boolean | null;
+		public readonly joined: boolean;
+		public lastMessageID: Snowflake;
+		public locked: boolean;
+		public memberCount: number | null;
+		public members: Collection<Snowflake, ThreadMember>;
+		public messageCount: number | null;
+		public messages: Collection<Snowflake, Message>;
+		public name: string;
+		public readonly owner: GuildMember | null;
+		public ownerID: Snowflake | null;
+		public readonly parent: TextChannel | null;
+		public parentID: Snowflake;
+		public rateLimitPerUser: number;
+		public type: ThreadChannelType;
+		public addMember(user: UserResolvable): Promise<ThreadChannel>;
+		public delete(reason?: string): Promise<ThreadChannel>;
+		public edit(data: ThreadData, reason?: string): Promise<ThreadChannel>;
+		public fetchMembers(): Promise<Collection<Snowflake, ThreadMember>>;
+		public join(): Promise<ThreadChannel>;
+		public leave(): Promise<ThreadChannel>;
+		public permissionsFor(memberOrRole: GuildMemberResolvable | RoleResolvable): Permissions | null;
+		public removeMember(user: UserResolvable): Promise<ThreadChannel>;
+		public setArchived(archived?: boolean, reason?: string): Promise<ThreadChannel>;
+		public setAutoArchiveDuration(autoArchiveDuration: ThreadAutoArchiveDuration, reason?: string): Promise<ThreadChannel>;
+		public setLocked(locked?: boolean, reason?: string): Promise<ThreadChannel>;
+		public setName(name: string, reason?: string): Promise<ThreadChannel>;
+		public setRateLimitPerUser(rateLimitPerUser: number, reason?: string): Promise<ThreadChannel>;
+		public toString(): string;
+	}
+
+	export class ThreadMember {
+		constructor(thread: ThreadChannel, data: object);
+		public readonly client: Client;
+		public flags: number;
+		public readonly guildMember: GuildMember | null;
+		public id: Snowflake;
+		public readonly joinedAt: Date;
+		public joinedTimestamp: number;
+		public thread: ThreadChannel;
+		public readonly user: User | null;
+		public remove(): Promise<ThreadMember>;
+		public toString(): string;
+	}
+
 	export class User extends PartialTextBasedChannel() {
 		constructor(client: Client, data: object);
 		public avatar: string;
@@ -1400,6 +1584,18 @@ declare module 'discord.js' {
 		public unblock(): Promise<User>;
 	}
 
+	class UserAgentManager {
+		constructor(restManager: RESTManager);
+		private restManager: RESTManager;
+		private build(identity: ClientIdentity): void;
+		private static generateUserAgent(identity: ClientIdentity): string;
+		public identity: ClientIdentity;
+		public properties: object;
+		public superProperties: string;
+		public userAgent: string;
+		public set(identity?: ClientIdentity): void;
+	}
+
 	export class UserConnection {
 		constructor(user: User, data: object);
 		public id: string;
@@ -1694,6 +1890,15 @@ declare module 'discord.js' {
 		public setTimeout(fn: Function, delay: number, ...args: any[]): NodeJS.Timer;
 	}
 
+	class WebSocketManager extends EventEmitter {
+		constructor(client: Client);
+		private handlers: { [eventName: string]: ((data: any, packet: any) => void)[] };
+		public client: Client;
+		public connection: object | null;
+		public registerHandler(eventName: string, handler: (data: any, packet: any) => void): this;
+		public unregisterHandler(eventName: string, handler: (data: any, packet: any) => void): this;
+	}
+
 //#endregion
 
 //#region Mixins
@@ -1741,6 +1946,23 @@ declare module 'discord.js' {
 
 //#region Typedefs
 
+	type APIRequestInfo = {
+		method: string;
+		path: string;
+		route: string;
+		bucket: string;
+		retries: number;
+		queued: boolean;
+		status?: number | null;
+		latency?: number;
+	};
+
+	type AbortSignalLike = {
+		readonly aborted: boolean;
+		addEventListener(type: 'abort', listener: () => void): void;
+		removeEventListener(type: 'abort', listener: () => void): void;
+	};
+
 	type ActivityType = 'PLAYING'
 		| 'STREAMING'
 		| 'LISTENING'
@@ -1819,6 +2041,19 @@ declare module 'discord.js' {
 
 	type ChannelResolvable = Channel | Guild | Message | Snowflake;
 
+	type ClientIdentity = {
+		os?: string;
+		osVersion?: string;
+		osArch?: string;
+		browser?: string;
+		browserVersion?: string;
+		clientVersion?: string;
+		releaseChannel?: string;
+		clientBuildNumber?: number | null;
+		systemLocale?: string;
+		userAgent?: string | null;
+	};
+
 	type ClientOptions = {
 		apiRequestMethod?: string;
 		shardId?: number;
@@ -1828,11 +2063,20 @@ declare module 'discord.js' {
 		messageSweepInterval?: number;
 		fetchAllMembers?: boolean;
 		disableEveryone?: boolean;
+		allowedMentions?: MessageMentionOptions | null;
 		sync?: boolean;
 		restWsBridgeTimeout?: number;
 		restTimeOffset?: number;
 		retryLimit?: number;
+		retry?: RetryOptions;
+		reconnect?: ReconnectOptions;
+		heartbeat?: HeartbeatOptions;
+		restRateLimitThreshold?: number;
+		restRequestTimeout?: number;
+		restStats?: boolean;
 		disabledEvents?: WSEventType[];
+		identity?: ClientIdentity;
+		intents?: IntentsResolvable | null;
 		ws?: WebSocketOptions;
 		http?: HTTPOptions;
 	};
@@ -1892,6 +2136,12 @@ declare module 'discord.js' {
 	type DefaultMessageNotifications = 'ALL'
 		| 'MENTIONS';
 
+	type DisconnectReason = {
+		code: number | null;
+		message: string;
+		action: WSCloseAction | null;
+	};
+
 	type EmojiEditData = {
 		name?: string;
 		roles?: Collection<Snowflake, Role> | Role[] | Snowflake[];
@@ -1904,6 +2154,33 @@ declare module 'discord.js' {
 		name?: string;
 	};
 
+	type FetchArchivedThreadsOptions = {
+		type?: 'public' | 'private';
+		joined?: boolean;
+		before?: ThreadChannel | Date | number | string;
+		limit?: number;
+	};
+
+	type FetchedThreads = {
+		threads: Collection<Snowflake, ThreadChannel>;
+		hasMore: boolean;
+	};
+
+	type FetchMembersOptions = {
+		query?: string;
+		limit?: number;
+		user?: UserResolvable | UserResolvable[];
+		presences?: boolean;
+		time?: number;
+		method?: 'gateway' | 'lazy';
+		channel?: ChannelResolvable;
+	};
+
+	type GatewayQueueBacklogInfo = {
+		queued: number;
+		statusUpdates: number;
+	};
+
 	type GroupDMRecipientOptions = {
 		user?: UserResolvable | Snowflake;
 		accessToken?: string;
@@ -2026,14 +2303,43 @@ declare module 'discord.js' {
 		channel?: ChannelResolvable | null;
 	};
 
+	type GuildMemberListUpdate = {
+		id: string;
+		memberCount: number;
+		onlineCount: number;
+		groups: { id: string; count: number }[];
+		ops: object[];
+		members: Collection<Snowflake, GuildMember>;
+	};
+
 	type GuildMemberResolvable = GuildMember | User;
 
+	type GuildMembersChunkInfo = {
+		index: number;
+		count: number;
+		nonce: string | null;
+		notFound: Snowflake[];
+	};
+
 	type GuildResolvable = Guild | Snowflake;
 
+	type HeartbeatOptions = {
+		maxMissedAcks?: number;
+		pingWindow?: number;
+	};
+
+	type HTTPErrorData = {
+		json: any;
+		files: string[];
+	};
+
 	type HTTPOptions = {
 		version?: number;
 		host?: string;
 		cdn?: string;
+		transport?: Transport;
+		agent?: Agent | null;
+		proxy?: string | null;
 	};
 
 	type IntegrationData = {
@@ -2046,6 +2352,28 @@ declare module 'discord.js' {
 		expireGracePeriod?: number;
 	}
 
+	type IntentsResolvable = BitFieldResolvable<IntentsString>;
+
+	type IntentsString = 'GUILDS'
+		| 'GUILD_MEMBERS'
+		| 'GUILD_BANS'
+		| 'GUILD_EMOJIS'
+		| 'GUILD_INTEGRATIONS'
+		| 'GUILD_WEBHOOKS'
+		| 'GUILD_INVITES'
+		| 'GUILD_VOICE_STATES'
+		| 'GUILD_PRESENCES'
+		| 'GUILD_MESSAGES'
+		| 'GUILD_MESSAGE_REACTIONS'
+		| 'GUILD_MESSAGE_TYPING'
+		| 'DIRECT_MESSAGES'
+		| 'DIRECT_MESSAGE_REACTIONS'
+		| 'DIRECT_MESSAGE_TYPING'
+		| 'MESSAGE_CONTENT'
+		| 'GUILD_SCHEDULED_EVENTS'
+		| 'AUTO_MODERATION_CONFIGURATION'
+		| 'AUTO_MODERATION_EXECUTION';
+
 	type IntegrationAccount = {
 		id: string;
 		number: string;
@@ -2069,9 +2397,13 @@ declare module 'discord.js' {
 	};
 
 	type MessageEditOptions = {
-		embed?: RichEmbedOptions;
+		embed?: RichEmbed | RichEmbedOptions | null;
+		embeds?: (RichEmbed | RichEmbedOptions)[];
 		code?: string | boolean;
 		flags?: BitFieldResolvable<MessageFlagsString>;
+		allowedMentions?: MessageMentionOptions | null;
+		timeout?: number;
+		signal?: AbortSignalLike;
 	};
 
 	type MessageFlagsString = 'CROSSPOSTED'
@@ -2080,6 +2412,17 @@ declare module 'discord.js' {
 		| 'SOURCE_MESSAGE_DELETED'
 		| 'URGENT';
 
+	type MessageMentionOptions = {
+		parse?: MessageMentionTypes[];
+		users?: UserResolvable[];
+		roles?: (Role | Snowflake)[];
+		repliedUser?: boolean;
+	};
+
+	type MessageMentionTypes = 'users'
+		| 'roles'
+		| 'everyone';
+
 	type MessageNotifications = 'EVERYTHING'
 		| 'MENTIONS'
 		| 'NOTHING';
@@ -2088,12 +2431,19 @@ declare module 'discord.js' {
 		tts?: boolean;
 		nonce?: string;
 		embed?: RichEmbed | RichEmbedOptions,
+		embeds?: (RichEmbed | RichEmbedOptions)[];
 		disableEveryone?: boolean;
+		allowedMentions?: MessageMentionOptions | null;
 		file?: FileOptions | string;
 		files?: (FileOptions | BufferResolvable | Attachment)[];
 		code?: string | boolean;
 		split?: boolean | SplitOptions;
 		reply?: UserResolvable;
+		replyTo?: Message | Snowflake;
+		failIfNotExists?: boolean;
+		mentionRepliedUser?: boolean;
+		timeout?: number;
+		signal?: AbortSignalLike;
 	};
 
 	type MessageSearchOptions = {
@@ -2149,6 +2499,14 @@ declare module 'discord.js' {
 		messages: Message[][];
 	};
 
+	type MockResponse = Partial<TransportResponse> | Error | ((call: MockTransportCall) => Partial<TransportResponse> | Error);
+
+	type MockTransportCall = TransportRequest & { path: string };
+
+	type MockTransportOptions = {
+		latency?: number;
+	};
+
 	type ActivityFlags = {
 		INSTANCE?: number;
 		JOIN?: number;
@@ -2299,6 +2657,15 @@ declare module 'discord.js' {
 		desktop?: ClientPresenceStatus;
 	};
 
+	type RateLimitBucket = {
+		bucket: string;
+		limit: number;
+		remaining: number;
+		resetTime: number;
+		resetAfter: number;
+		queued: number;
+	};
+
 	type RateLimitInfo = {
 		limit: number;
 		timeDifference: number;
@@ -2312,6 +2679,42 @@ declare module 'discord.js' {
 		maxUsers?: number;
 	};
 
+	type ReconnectOptions = {
+		baseDelay?: number;
+		maxDelay?: number;
+		multiplier?: number;
+		jitter?: number;
+		maxAttempts?: number;
+	};
+
+	type RequestOptions = {
+		timeout?: number;
+		signal?: AbortSignalLike;
+	};
+
+	type RESTRouteStats = {
+		route: string;
+		requests: number;
+		rateLimited: number;
+		errors: number;
+		latency: {
+			p50: number;
+			p90: number;
+			p99: number;
+			max: number;
+		};
+	};
+
+	type RetryOptions = {
+		baseDelay?: number;
+		maxDelay?: number;
+		multiplier?: number;
+		jitter?: number;
+		statusCodes?: number[] | null;
+		errorCodes?: string[];
+		shouldRetry?: ((error: HTTPError, attempt: number) => boolean) | null;
+	};
+
 	type RichEmbedOptions = {
 		title?: string;
 		description?: string;
@@ -2343,6 +2746,12 @@ declare module 'discord.js' {
 
 	type RoleResolvable = Role | string;
 
+	type SessionState = {
+		sessionID: string;
+		sequence: number;
+		resumeGatewayURL: string | null;
+	};
+
 	type Snowflake = string;
 
 	type SplitOptions = {
@@ -2367,6 +2776,45 @@ declare module 'discord.js' {
 
 	type SystemChannelFlagsResolvable = BitFieldResolvable<SystemChannelFlagsString>;
 
+	interface Transport {
+		request(request: TransportRequest): Promise<TransportResponse>;
+	}
+
+	type TransportRequest = {
+		method: string;
+		url: string;
+		headers: { [name: string]: string };
+		body?: any;
+		files?: { name: string, file: Buffer }[];
+	};
+
+	type TransportResponse = {
+		status: number;
+		headers: { [name: string]: string };
+		body: any;
+	};
+
+	type ThreadAutoArchiveDuration = 60 | 1440 | 4320 | 10080;
+
+	type ThreadChannelType = 'news_thread' | 'public_thread' | 'private_thread';
+
+	type ThreadCreateOptions = {
+		autoArchiveDuration?: ThreadAutoArchiveDuration;
+		type?: 'public_thread' | 'private_thread';
+		invitable?: boolean;
+		rateLimitPerUser?: number;
+		reason?: string;
+	};
+
+	type ThreadData = {
+		name?: string;
+		archived?: boolean;
+		locked?: boolean;
+		invitable?: boolean;
+		autoArchiveDuration?: ThreadAutoArchiveDuration;
+		rateLimitPerUser?: number;
+	};
+
 	type UserResolvable = User | Snowflake | Message | Guild | GuildMember;
 
 	type VoiceStatus = number;
@@ -2384,6 +2832,7 @@ declare module 'discord.js' {
 		nonce?: string;
 		embeds?: (RichEmbed | object)[];
 		disableEveryone?: boolean;
+		allowedMentions?: MessageMentionOptions | null;
 		file?: FileOptions | BufferResolvable | Attachment;
 		files?: (FileOptions | BufferResolvable | Attachment)[];
 		code?: string | boolean;
@@ -2394,11 +2843,15 @@ declare module 'discord.js' {
 
 	type WebSocketOptions = {
 		large_threshold?: number;
-		compress?: boolean;
+		compress?: boolean | 'zlib-stream';
+		version?: number;
 	};
 
+	type WSCloseAction = 'resume' | 'reidentify' | 'fatal';
+
 	type WSEventType = 'READY'
 		| 'RESUMED'
+		| 'READY_SUPPLEMENTAL'
 		| 'GUILD_SYNC'
 		| 'GUILD_CREATE'
 		| 'GUILD_DELETE'
@@ -2407,6 +2860,7 @@ declare module 'discord.js' {
 		| 'GUILD_MEMBER_REMOVE'
 		| 'GUILD_MEMBER_UPDATE'
 		| 'GUILD_MEMBERS_CHUNK'
+		| 'GUILD_MEMBER_LIST_UPDATE'
 		| 'GUILD_INTEGRATIONS_UPDATE'
 		| 'GUILD_ROLE_CREATE'
 		| 'GUILD_ROLE_DELETE'
@@ -2436,5 +2890,12 @@ declare module 'discord.js' {
 		| 'RELATIONSHIP_ADD'
 		| 'RELATIONSHIP_REMOVE';
 
+	type ZombieConnectionInfo = {
+		missedAcks: number;
+		lastHeartbeatTimestamp: number;
+		sinceLastHeartbeat: number;
+		ping: number;
+	};
+
 //#endregion
 }